@@ -20,6 +20,7 @@ from encoding_utils import configure_utf8_console, write_text_utf8
 configure_utf8_console()
 
 
+# Keep in sync with the templates in quick-alias's lib/ai-tools/scaffold.js
 SKILL_TEMPLATE = """---
 name: {skill_name}
 description: [TODO: Complete and informative explanation of what the skill does and when to use it. Include WHEN to use this skill - specific scenarios, file types, or tasks that trigger it.]
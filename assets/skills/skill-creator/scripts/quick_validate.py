@@ -12,6 +12,9 @@ from encoding_utils import configure_utf8_console, read_text_utf8
 # Fix Windows console encoding for Unicode output
 configure_utf8_console()
 
+# Keep in sync with ALLOWED_KEYS in quick-alias's lib/ai-tools/validate.js
+ALLOWED_KEYS = {'name', 'description', 'license', 'allowed-tools', 'metadata', 'version', 'requires'}
+
 def validate_skill(skill_path):
     """Basic validation of a skill"""
     skill_path = Path(skill_path)
@@ -32,6 +35,12 @@ def validate_skill(skill_path):
         return False, "Invalid frontmatter format"
     
     frontmatter = match.group(1)
+
+    # Check for unexpected top-level keys
+    keys = re.findall(r'^([\w-]+):', frontmatter, re.MULTILINE)
+    unexpected = sorted(set(keys) - ALLOWED_KEYS)
+    if unexpected:
+        return False, f"Unexpected key(s) in frontmatter: {', '.join(unexpected)} (allowed: {', '.join(sorted(ALLOWED_KEYS))})"
     
     # Check required fields (note: name is optional in Antigravity, description is required)
     if 'description:' not in frontmatter:
@@ -3,20 +3,44 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import ora from 'ora';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { detectCLIs, CLI_INFO, getModelsForCLI } from '../lib/detector.js';
 import { testHeadlessMode } from '../lib/tester.js';
-import { installAliases, detectShellProfile } from '../lib/installer.js';
+import { installAliases, getManagedFiles } from '../lib/installer.js';
 import { installReloadAlias } from '../lib/reload.js';
 import { installPnpmAliases } from '../lib/pnpm-aliases.js';
-
-// Read version from package.json
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const pkg = JSON.parse(readFileSync(join(__dirname, '../package.json'), 'utf-8'));
-const VERSION = pkg.version;
+import { detectProfiles } from '../lib/targets.js';
+import { shellForProfile } from '../lib/profile.js';
+import { findShellConflicts } from '../lib/conflicts.js';
+import { VERSION } from '../lib/version.js';
+import { isValidAliasName } from '../lib/config.js';
+import { EXIT_CODES } from '../lib/args.js';
+import { runGitCommand, runReloadCommand, runPnpmCommand } from '../lib/commands/setup.js';
+import { runStatusCommand } from '../lib/commands/status.js';
+import { runUninstallCommand } from '../lib/commands/uninstall.js';
+import { runBackupsCommand } from '../lib/commands/backups.js';
+import { runApplyCommand } from '../lib/commands/apply.js';
+import { runUpgradeCommand } from '../lib/commands/upgrade.js';
+import { runSkillsCommand } from '../lib/commands/skills.js';
+import { runDoctorCommand } from '../lib/commands/doctor.js';
+import { setupAITools } from '../lib/ai-tools/index.js';
+
+// Non-interactive subcommands: name → handler(argv) returning an exit code
+const COMMANDS = {
+  git: runGitCommand,
+  reload: runReloadCommand,
+  pnpm: runPnpmCommand,
+  status: runStatusCommand,
+  uninstall: runUninstallCommand,
+  backups: runBackupsCommand,
+  apply: runApplyCommand,
+  upgrade: runUpgradeCommand,
+  skills: runSkillsCommand,
+  doctor: runDoctorCommand
+};
+
+// Prompt validation for alias names, which go into shell code
+const validateAliasName = input =>
+  isValidAliasName(input) ? true : 'Use letters, digits, _ . : -, starting with a letter or _';
 
 // Header
 function showHeader() {
@@ -35,12 +59,124 @@ function showHelp() {
   showHeader();
   console.log('Usage:');
   console.log('  npx @khanglvm/quick-alias          Run interactive setup');
-  console.log('  npx @khanglvm/quick-alias --help   Show this help message\n');
+  console.log('  npx @khanglvm/quick-alias --help   Show this help message');
+  console.log('  npx @khanglvm/quick-alias <command> [options]\n');
+  console.log('Commands:');
+  console.log('  git      Install AI git aliases');
+  console.log('           --provider <id> --model <name> --push-alias <name> --commit-alias <name>');
+  console.log('           --skip-test --skip-shell-check');
+  console.log('  reload   Install shell reload alias');
+  console.log('           --alias <name>');
+  console.log('  pnpm     Install stealth pnpm aliases (di, da, dr)');
+  console.log('  status   List installed features in every detected shell profile');
+  console.log('           --json --profile <path>');
+  console.log('  uninstall [git|reload|pnpm|all]');
+  console.log('           Remove generated aliases (previews and backs up first)');
+  console.log('  backups [list|restore <id>|prune --keep N]');
+  console.log('           Manage the backups taken before every change');
+  console.log('  apply    Make the profiles match quick-alias.json (or ~/.config/quick-alias/config.json)');
+  console.log('           --config <path>');
+  console.log('  upgrade  Regenerate blocks from older versions with the same settings (shows a diff first)');
+  console.log('           --force --profile <path>');
+  console.log('  skills [list|install <name|source>...]');
+  console.log('           Install AI skills, agents or workflows into coding tools; a source is a');
+  console.log('           git URL, local directory or .tar.gz/.zip of skills');
+  console.log('           --tool <id|all> --type <skills|agents|workflows> --workspace --all --skill <name> --link --json');
+  console.log('           Missing prerequisites are reported first; --yes installs anyway\n');
+  console.log('  skills outdated | update [<name>...] | uninstall <name>...');
+  console.log('           Check installed assets against their source, update or remove them;');
+  console.log('           locally edited files are kept, discarded or backed up (--on-modified)\n');
+  console.log('  skills show <name> | search <query>');
+  console.log('           Preview an asset (full SKILL.md, files, size, scripts) or find one by keyword\n');
+  console.log('  skills new <name> | pack <dir>');
+  console.log('           Create a skill from the skill-creator template, or validate and zip one');
+  console.log('           --path <dir> --tool <id> --out <dir>\n');
+  console.log('  skills validate [<path>...]');
+  console.log('           Check skill folders or SKILL.md files against the skill-creator rules\n');
+  console.log('  doctor   Re-check the binaries and Python modules installed skills declare they need');
+  console.log('           --workspace --global --json\n');
+  console.log('Common options:');
+  console.log('  --on-conflict <override|skip|fail>  What to do when an alias exists (default: fail)');
+  console.log('  --init-file                         Write to ~/.config/quick-alias/init.<shell> and only');
+  console.log('                                      add a source line to your profile');
+  console.log('  --profile <path>                    Install into this profile (repeatable)');
+  console.log('  --all-profiles                      Install into every detected zsh/bash/fish profile');
+  console.log('  --dry-run                           Print a diff of the profile changes, write nothing');
+  console.log('  -y, --yes                           Accept defaults, never prompt\n');
   console.log('Available Features:');
   console.log('  • AI Commit    - Auto-generate commit messages');
   console.log('  • Shell Reload - Reload shell config');
   console.log('  • Stealth pnpm - Transparent pnpm for yarn/npm projects');
+  console.log('  • AI Tools     - Skills, agents and workflows for Claude Code, Antigravity, OpenCode, Droid,');
+  console.log('                   Cursor, Windsurf, Codex, Gemini CLI and Copilot');
+  console.log('');
+}
+
+// Names the user defined outside quick-alias blocks are never removed
+function showUnmanagedWarning(result) {
+  if (result.unmanaged && result.unmanaged.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  Also defined outside quick-alias: ${result.unmanaged.join(', ')} (left untouched)`));
+  }
+}
+
+// Pick the profiles to install into when more than one shell profile exists
+async function chooseProfiles() {
+  const detected = await detectProfiles();
+  if (detected.length === 1) return [detected[0].profile];
+
+  const { profiles } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'profiles',
+      message: 'Install into which shell profiles?',
+      choices: detected.map(p => ({
+        name: `${p.profile} ${chalk.dim(`(${p.shell}, ${p.kind}${p.exists ? '' : ', will be created'})`)}`,
+        value: p.profile,
+        checked: p.isDefault
+      })),
+      validate: answer => answer.length > 0 ? true : 'Choose at least one profile'
+    }
+  ]);
   console.log('');
+  return profiles;
+}
+
+// Check names against the user's real shell and offer free names when they are taken
+// Returns the names to use, or null to cancel
+async function reviewShellConflicts(profiles, names) {
+  const targets = profiles.map(profile => ({ shell: shellForProfile(profile), profile }));
+  let current = names;
+
+  for (const shell of new Set(targets.map(t => t.shell))) {
+    const spinner = ora(`Checking ${shell} for existing commands...`).start();
+    const files = await getManagedFiles(targets.filter(t => t.shell === shell));
+    const report = await findShellConflicts(shell, current, { excludeFiles: files });
+    spinner.stop();
+
+    if (!report.checked || report.conflicts.length === 0) continue;
+
+    console.log(chalk.yellow(`⚠️  Already defined in ${shell}:`));
+    report.conflicts.forEach(({ name, source }) => {
+      console.log(`  ${chalk.cyan(name.padEnd(8))} ${chalk.dim(source)}`);
+    });
+    console.log('');
+
+    const suggested = current.map(name => (report.suggestions[name] || [])[0] || name);
+    const choices = [{ name: `Keep ${current.join(', ')} (shadow the existing ones)`, value: 'keep' }];
+    if (suggested.join() !== current.join()) {
+      choices.unshift({ name: `Use ${suggested.join(', ')}`, value: 'suggested' });
+    }
+    choices.push({ name: 'Cancel', value: 'cancel' });
+
+    const { action } = await inquirer.prompt([
+      { type: 'list', name: 'action', message: 'How to handle?', choices }
+    ]);
+
+    if (action === 'cancel') return null;
+    if (action === 'suggested') current = suggested;
+  }
+
+  return current;
 }
 
 // Main menu
@@ -63,6 +199,10 @@ async function showMainMenu() {
           name: `${chalk.cyan('Stealth pnpm')} ${chalk.dim('- Use pnpm in yarn/npm projects (no config changes)')}`,
           value: 'pnpm'
         },
+        {
+          name: `${chalk.cyan('AI Tools')} ${chalk.dim('- Install skills to your coding tools')}`,
+          value: 'ai-tools'
+        },
         new inquirer.Separator(),
         {
           name: chalk.dim('Exit'),
@@ -78,7 +218,7 @@ async function showMainMenu() {
 // FEATURE: AI Git Aliases
 // ═══════════════════════════════════════════════════════════════
 
-async function setupGitAliases() {
+async function setupGitAliases(profiles) {
   console.log('');
   console.log(chalk.bold.yellow('🤖 AI Git Aliases Setup'));
   console.log(chalk.dim('   Create gp/gc commands that use AI to generate commit messages.\n'));
@@ -110,17 +250,23 @@ async function setupGitAliases() {
       type: 'input',
       name: 'gpAlias',
       message: 'Git Push alias (stages all → AI commit → push):',
-      default: 'gp'
+      default: 'gp',
+      validate: validateAliasName
     },
     {
       type: 'input',
       name: 'gcAlias',
       message: 'Git Commit alias (AI commit for staged files):',
-      default: 'gc'
+      default: 'gc',
+      validate: (input, answers) => input === answers.gpAlias ? 'Must differ from the push alias' : validateAliasName(input)
     }
   ]);
   console.log('');
 
+  const names = await reviewShellConflicts(profiles, [aliasAnswers.gpAlias, aliasAnswers.gcAlias]);
+  if (!names) return false;
+  [aliasAnswers.gpAlias, aliasAnswers.gcAlias] = names;
+
   // Select provider
   const { provider } = await inquirer.prompt([
     {
@@ -206,86 +352,99 @@ async function setupGitAliases() {
   testSpinner.succeed(chalk.green(`${selectedCLI.name} is working!`));
   console.log('');
 
-  // Install
+  // Install into every selected profile
   let currentGpAlias = aliasAnswers.gpAlias;
   let currentGcAlias = aliasAnswers.gcAlias;
+  const installed = [];
+
+  for (const profile of profiles) {
+    let installResult = await installAliases({
+      gpAlias: currentGpAlias,
+      gcAlias: currentGcAlias,
+      cli: selectedCLI,
+      model: selectedModel,
+      overwrite: false,
+      profile
+    });
 
-  let installResult = await installAliases({
-    gpAlias: currentGpAlias,
-    gcAlias: currentGcAlias,
-    cli: selectedCLI,
-    model: selectedModel,
-    overwrite: false
-  });
+    // Handle conflicts
+    while (installResult.conflict) {
+      console.log(chalk.yellow(`⚠️  Alias conflict in ${profile}: ${installResult.existingAliases.join(', ')}\n`));
 
-  // Handle conflicts
-  while (installResult.conflict) {
-    console.log(chalk.yellow(`⚠️  Alias conflict: ${installResult.existingAliases.join(', ')}\n`));
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'How to handle?',
+          choices: [
+            { name: 'Override existing', value: 'override' },
+            { name: 'Use different names', value: 'rename' },
+            { name: 'Cancel', value: 'cancel' }
+          ]
+        }
+      ]);
 
-    const { action } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'How to handle?',
-        choices: [
-          { name: 'Override existing', value: 'override' },
-          { name: 'Use different names', value: 'rename' },
-          { name: 'Cancel', value: 'cancel' }
-        ]
+      if (action === 'cancel') break;
+
+      if (action === 'override') {
+        installResult = await installAliases({
+          gpAlias: currentGpAlias,
+          gcAlias: currentGcAlias,
+          cli: selectedCLI,
+          model: selectedModel,
+          overwrite: true,
+          profile
+        });
       }
-    ]);
-
-    if (action === 'cancel') return false;
 
-    if (action === 'override') {
-      installResult = await installAliases({
-        gpAlias: currentGpAlias,
-        gcAlias: currentGcAlias,
-        cli: selectedCLI,
-        model: selectedModel,
-        overwrite: true
-      });
+      if (action === 'rename') {
+        const newNames = await inquirer.prompt([
+          { type: 'input', name: 'gpAlias', message: 'New push alias:', default: 'gpa', validate: validateAliasName },
+          { type: 'input', name: 'gcAlias', message: 'New commit alias:', default: 'gca', validate: validateAliasName }
+        ]);
+        currentGpAlias = newNames.gpAlias;
+        currentGcAlias = newNames.gcAlias;
+
+        installResult = await installAliases({
+          gpAlias: currentGpAlias,
+          gcAlias: currentGcAlias,
+          cli: selectedCLI,
+          model: selectedModel,
+          overwrite: false,
+          profile
+        });
+      }
     }
 
-    if (action === 'rename') {
-      const newNames = await inquirer.prompt([
-        { type: 'input', name: 'gpAlias', message: 'New push alias:', default: 'gpa' },
-        { type: 'input', name: 'gcAlias', message: 'New commit alias:', default: 'gca' }
-      ]);
-      currentGpAlias = newNames.gpAlias;
-      currentGcAlias = newNames.gcAlias;
-
-      installResult = await installAliases({
-        gpAlias: currentGpAlias,
-        gcAlias: currentGcAlias,
-        cli: selectedCLI,
-        model: selectedModel,
-        overwrite: false
-      });
+    if (installResult.conflict) continue;
+
+    if (!installResult.success) {
+      console.log(chalk.red(`Failed (${profile}): ${installResult.error}`));
+      continue;
     }
-  }
 
-  if (!installResult.success) {
-    console.log(chalk.red(`Failed: ${installResult.error}`));
-    return false;
+    installed.push(profile);
+    showUnmanagedWarning(installResult);
   }
 
+  if (installed.length === 0) return false;
+
   // Success
   console.log('');
-  console.log(chalk.green('✓ AI Git Aliases installed!\n'));
+  console.log(chalk.green(`✓ AI Git Aliases installed into ${installed.join(', ')}\n`));
   console.log(chalk.dim('Usage:'));
   console.log(`  ${chalk.cyan(currentGpAlias)}     ${chalk.dim('Stage all → AI commit → Push')}`);
   console.log(`  ${chalk.cyan(currentGcAlias)}     ${chalk.dim('AI commit for staged files')}`);
   console.log(`  ${chalk.cyan(currentGpAlias + ' -r')}  ${chalk.dim('Review AI message before commit')}`);
 
-  return { profile: installResult.profile };
+  return { profiles: installed };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // FEATURE: Shell Reload
 // ═══════════════════════════════════════════════════════════════
 
-async function setupShellReload() {
+async function setupShellReload(profiles) {
   console.log('');
   console.log(chalk.bold.yellow('🔄 Shell Reload Setup'));
   console.log(chalk.dim('   Create an alias to quickly reload your shell configuration.\n'));
@@ -311,52 +470,61 @@ async function setupShellReload() {
         type: 'input',
         name: 'custom',
         message: 'Enter custom alias name:',
-        validate: input => input.trim() ? true : 'Required'
+        validate: validateAliasName
       }
     ]);
     finalAlias = custom;
   }
   console.log('');
 
-  const result = await installReloadAlias(finalAlias);
+  const names = await reviewShellConflicts(profiles, [finalAlias]);
+  if (!names) return false;
+  [finalAlias] = names;
 
-  if (result.conflict) {
-    const { action } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: `Alias "${finalAlias}" already exists. Override?`,
-        choices: [
-          { name: 'Yes, override', value: 'override' },
-          { name: 'No, cancel', value: 'cancel' }
-        ]
-      }
-    ]);
+  const installed = [];
+  for (const profile of profiles) {
+    let result = await installReloadAlias(finalAlias, false, { profile });
 
-    if (action === 'cancel') return false;
+    if (result.conflict) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `Alias "${finalAlias}" already exists in ${profile}. Override?`,
+          choices: [
+            { name: 'Yes, override', value: 'override' },
+            { name: 'No, cancel', value: 'cancel' }
+          ]
+        }
+      ]);
+
+      if (action === 'cancel') continue;
 
-    const overrideResult = await installReloadAlias(finalAlias, true);
-    if (!overrideResult.success) {
-      console.log(chalk.red(`Failed: ${overrideResult.error}`));
-      return false;
+      result = await installReloadAlias(finalAlias, true, { profile });
+      showUnmanagedWarning(result);
     }
-  } else if (!result.success) {
-    console.log(chalk.red(`Failed: ${result.error}`));
-    return false;
+
+    if (!result.success) {
+      console.log(chalk.red(`Failed (${profile}): ${result.error}`));
+      continue;
+    }
+    installed.push(profile);
   }
 
-  console.log(chalk.green('✓ Shell Reload alias installed!\n'));
+  if (installed.length === 0) return false;
+
+  console.log(chalk.green(`✓ Shell Reload alias installed into ${installed.join(', ')}\n`));
   console.log(chalk.dim('Usage:'));
   console.log(`  ${chalk.cyan(finalAlias)}  ${chalk.dim('Reload your shell configuration')}`);
 
-  return { profile: result.profile };
+  return { profiles: installed };
 }
 
 // ═══════════════════════════════════════════════════════════════
 // FEATURE: pnpm Dev Aliases
 // ═══════════════════════════════════════════════════════════════
 
-async function setupPnpmAliases() {
+async function setupPnpmAliases(profiles) {
   console.log('');
   console.log(chalk.bold.yellow('📦 Stealth pnpm Setup'));
   console.log(chalk.dim('   Use pnpm in yarn/npm projects without changing any config files.\n'));
@@ -378,40 +546,44 @@ async function setupPnpmAliases() {
 
   if (!confirm) return false;
 
-  const result = await installPnpmAliases();
+  const installed = [];
+  for (const profile of profiles) {
+    let result = await installPnpmAliases({ profile });
 
-  if (result.conflict) {
-    const { action } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'pnpm aliases already exist. Override?',
-        choices: [
-          { name: 'Yes, override', value: 'override' },
-          { name: 'No, cancel', value: 'cancel' }
-        ]
-      }
-    ]);
+    if (result.conflict) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `pnpm aliases already exist in ${profile}. Override?`,
+          choices: [
+            { name: 'Yes, override', value: 'override' },
+            { name: 'No, cancel', value: 'cancel' }
+          ]
+        }
+      ]);
 
-    if (action === 'cancel') return false;
+      if (action === 'cancel') continue;
 
-    const overrideResult = await installPnpmAliases({ overwrite: true });
-    if (!overrideResult.success) {
-      console.log(chalk.red(`Failed: ${overrideResult.error}`));
-      return false;
+      result = await installPnpmAliases({ overwrite: true, profile });
     }
-  } else if (!result.success) {
-    console.log(chalk.red(`Failed: ${result.error}`));
-    return false;
+
+    if (!result.success) {
+      console.log(chalk.red(`Failed (${profile}): ${result.error}`));
+      continue;
+    }
+    installed.push(profile);
   }
 
-  console.log(chalk.green('✓ pnpm Dev Aliases installed!\n'));
+  if (installed.length === 0) return false;
+
+  console.log(chalk.green(`✓ pnpm Dev Aliases installed into ${installed.join(', ')}\n`));
   console.log(chalk.dim('Usage:'));
   console.log(`  ${chalk.cyan('di')}  ${chalk.dim('Install deps via pnpm (space-saving)')}`);
   console.log(`  ${chalk.cyan('da')}  ${chalk.dim('Add dep (auto-detects yarn/npm), reinstall via pnpm')}`);
   console.log(`  ${chalk.cyan('dr')}  ${chalk.dim('Remove dep (auto-detects yarn/npm), reinstall via pnpm')}`);
 
-  return { profile: result.profile };
+  return { profiles: installed };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -423,13 +595,34 @@ async function main() {
 
   if (args.includes('--help') || args.includes('-h')) {
     showHelp();
-    process.exit(0);
+    process.exit(EXIT_CODES.OK);
+  }
+
+  const [command, ...commandArgs] = args;
+
+  if (command && COMMANDS[command]) {
+    process.exit(await COMMANDS[command](commandArgs));
+  }
+
+  if (command) {
+    console.error(chalk.red(`Unknown command: ${command}`));
+    console.error(chalk.dim('Run "quick-alias --help" for usage.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  // The interactive menu needs a terminal
+  if (!process.stdin.isTTY) {
+    console.error(chalk.red('Error: interactive setup requires a TTY. Use a subcommand instead.'));
+    console.error(chalk.dim('Run "quick-alias --help" for usage.'));
+    process.exit(EXIT_CODES.USAGE);
   }
 
   showHeader();
 
+  const profiles = await chooseProfiles();
   let continueSetup = true;
-  let profilePath = null;
+  const installedProfiles = new Set();
+  const installedAssets = [];
 
   while (continueSetup) {
     const feature = await showMainMenu();
@@ -440,15 +633,20 @@ async function main() {
 
     let result;
     if (feature === 'git') {
-      result = await setupGitAliases();
+      result = await setupGitAliases(profiles);
     } else if (feature === 'reload') {
-      result = await setupShellReload();
+      result = await setupShellReload(profiles);
     } else if (feature === 'pnpm') {
-      result = await setupPnpmAliases();
+      result = await setupPnpmAliases(profiles);
+    } else if (feature === 'ai-tools') {
+      result = await setupAITools();
     }
 
-    if (result && result.profile) {
-      profilePath = result.profile;
+    if (result && result.profiles) {
+      result.profiles.forEach(profile => installedProfiles.add(profile));
+    }
+    if (result && result.installed) {
+      result.installed.forEach(({ asset, path, tool }) => installedAssets.push({ tool: tool || result.tool, asset, path }));
     }
 
     console.log('');
@@ -465,14 +663,25 @@ async function main() {
   }
 
   // Final message
-  if (profilePath) {
+  if (installedProfiles.size > 0 || installedAssets.length > 0) {
     console.log(chalk.bold.green('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
     console.log(chalk.bold.green('✨ All Done!'));
     console.log(chalk.bold.green('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
     console.log('');
-    console.log(chalk.dim('Reload your shell to use the new aliases:'));
-    console.log(`  ${chalk.cyan(`source ${profilePath}`)}`);
-    console.log('');
+    if (installedProfiles.size > 0) {
+      console.log(chalk.dim('Reload your shell to use the new aliases:'));
+      for (const profile of installedProfiles) {
+        console.log(`  ${chalk.cyan(`source ${profile}`)}`);
+      }
+      console.log('');
+    }
+    if (installedAssets.length > 0) {
+      console.log(chalk.dim('Installed AI assets (restart the tool to pick them up):'));
+      for (const { tool, asset, path } of installedAssets) {
+        console.log(`  ${chalk.cyan(asset)} ${chalk.dim(`${tool} → ${path}`)}`);
+      }
+      console.log('');
+    }
   } else {
     console.log(chalk.dim('Goodbye! 👋\n'));
   }
@@ -480,5 +689,5 @@ async function main() {
 
 main().catch(err => {
   console.error(chalk.red('Error:'), err.message);
-  process.exit(1);
+  process.exit(EXIT_CODES.FAILURE);
 });
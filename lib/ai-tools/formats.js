@@ -0,0 +1,135 @@
+/**
+ * Formats - render a bundled asset into a coding tool's native format
+ * Tools without SKILL.md support get the same instructions as a rule file
+ * (Cursor, Windsurf) or as a section of a shared instructions file
+ * (AGENTS.md, GEMINI.md, copilot-instructions.md)
+ */
+
+import { parseFrontmatter, stringifyFrontmatter } from './frontmatter.js';
+
+/**
+ * Add one level to every Markdown heading outside code fences,
+ * so an asset's "# Title" nests under its section heading
+ */
+function demoteHeadings(body) {
+    let inFence = false;
+    return body.split('\n').map(line => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        return !inFence && /^#{1,5} /.test(line) ? `#${line}` : line;
+    }).join('\n');
+}
+
+/**
+ * Converters: ({name, content, data, body}) → file content
+ * data and body are the parsed frontmatter and the Markdown after it
+ */
+const FORMATS = {
+    // Read natively (SKILL.md, Claude Code agents, Antigravity workflows)
+    native: ({ content }) => content,
+
+    // .cursor/rules/<name>.mdc - attached by the agent when the description matches
+    cursor: ({ data, body }) =>
+        `${stringifyFrontmatter({ description: data.description || '', globs: '', alwaysApply: false })}\n${body}`,
+
+    // .windsurf/rules/<name>.md - applied when Cascade decides the description matches
+    windsurf: ({ data, body }) =>
+        `${stringifyFrontmatter({ trigger: 'model_decision', description: data.description || '' })}\n${body}`,
+
+    // A section of a shared instructions file, under its own heading
+    section: ({ name, data, body }) => {
+        const when = data.description ? `Use when: ${data.description}\n\n` : '';
+        return `## ${name}\n\n${when}${demoteHeadings(body).trim()}\n`;
+    }
+};
+
+/**
+ * Whether a format exists
+ */
+export function isKnownFormat(format) {
+    return Object.hasOwn(FORMATS, format);
+}
+
+/**
+ * Convert an asset's main file for a tool
+ * @param {string} format - Key of FORMATS ('native' when not set)
+ * @param {string} name - Asset name
+ * @param {string} content - SKILL.md / agent / workflow source, placeholders filled
+ * @returns {string}
+ */
+export function convertAsset(format = 'native', name, content) {
+    const { data, body } = parseFrontmatter(content);
+    return FORMATS[format]({ name, content, data, body });
+}
+
+/**
+ * Markers around an asset's section in a shared instructions file
+ */
+function sectionMarkers(name) {
+    return [`<!-- >>> quick-alias:${name} >>> -->`, `<!-- <<< quick-alias:${name} <<< -->`];
+}
+
+/**
+ * Locate an asset's section
+ * @returns {{start: number, end: number}|null} Character offsets, end exclusive
+ */
+function findSection(content, name) {
+    const [begin, end] = sectionMarkers(name);
+    const start = content.indexOf(begin);
+    if (start === -1) return null;
+
+    const close = content.indexOf(end, start);
+    if (close === -1) return null;
+    return { start, end: close + end.length };
+}
+
+/**
+ * Whether a shared instructions file holds the asset's section
+ */
+export function hasSection(content, name) {
+    return findSection(content, name) !== null;
+}
+
+/**
+ * Text of an asset's section, without its markers
+ * @returns {string|null} null when the file doesn't hold the section
+ */
+export function getSection(content, name) {
+    const existing = findSection(content, name);
+    if (!existing) return null;
+
+    const [begin, end] = sectionMarkers(name);
+    return content.slice(existing.start + begin.length, existing.end - end.length).trim();
+}
+
+/**
+ * Insert or replace an asset's section, leaving the rest of the file alone
+ * @param {string} content - Current file content ('' when missing)
+ * @param {string} name
+ * @param {string} text - Converted section text
+ * @returns {string}
+ */
+export function upsertSection(content, name, text) {
+    const [begin, end] = sectionMarkers(name);
+    const block = `${begin}\n${text.trim()}\n${end}`;
+    const existing = findSection(content, name);
+
+    if (existing) {
+        return content.slice(0, existing.start) + block + content.slice(existing.end);
+    }
+
+    const base = content.replace(/\n+$/, '');
+    return `${base}${base ? '\n\n' : ''}${block}\n`;
+}
+
+/**
+ * Remove an asset's section and the blank line before it
+ * @returns {string}
+ */
+export function removeSection(content, name) {
+    const existing = findSection(content, name);
+    if (!existing) return content;
+
+    const before = content.slice(0, existing.start).replace(/\n+$/, '');
+    const after = content.slice(existing.end).replace(/^\n+/, '').replace(/\n+$/, '');
+    return [before, after].filter(Boolean).join('\n\n') + (before || after ? '\n' : '');
+}
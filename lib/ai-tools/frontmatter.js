@@ -0,0 +1,119 @@
+/**
+ * Frontmatter - read and write the YAML header of Markdown assets
+ * Handles the flat "key: value" headers used by SKILL.md, agents, workflows
+ * and the rule formats of other tools: plain, quoted and block (| and >)
+ * scalars. Nested mappings and lists are kept as raw text
+ */
+
+const FENCE = '---';
+
+/**
+ * Parse a scalar: quoted strings, booleans, or plain text
+ */
+function parseScalar(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return trimmed.slice(1, -1);
+        }
+    }
+    if (trimmed.startsWith("'") && trimmed.endsWith("'") && trimmed.length > 1) {
+        return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+    return trimmed;
+}
+
+/**
+ * Value of a key whose text continues on indented lines
+ * @param {string} first - Text after "key:"
+ * @param {string[]} rest - The indented lines, as written
+ */
+function parseMultiline(first, rest) {
+    const indent = Math.min(...rest.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    const lines = rest.map(line => line.slice(indent));
+
+    // Block scalars: | keeps line breaks, > folds them into spaces
+    const block = first.trim().match(/^([|>])[-+]?$/);
+    if (block) {
+        const text = block[1] === '|'
+            ? lines.join('\n')
+            : lines.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+        return text.replace(/\n+$/, '');
+    }
+
+    // Nested mapping or list under an empty key
+    if (first.trim() === '') {
+        return rest.join('\n');
+    }
+
+    // Plain or quoted scalar wrapped over several lines
+    return parseScalar([first, ...lines].map(line => line.trim()).join(' '));
+}
+
+/**
+ * Split a Markdown file into its frontmatter and body
+ * @param {string} content
+ * @returns {{data: Object<string, string|boolean>, body: string, hasFrontmatter: boolean, closed: boolean}}
+ *   closed is false when the header starts but never ends
+ */
+export function parseFrontmatter(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    if (lines[0].trim() !== FENCE) {
+        return { data: {}, body: content, hasFrontmatter: false, closed: false };
+    }
+
+    const end = lines.findIndex((line, index) => index > 0 && line.trim() === FENCE);
+    if (end === -1) {
+        return { data: {}, body: content, hasFrontmatter: false, closed: false };
+    }
+
+    // Group each key with the indented lines that continue it
+    const fields = [];
+    for (const line of lines.slice(1, end)) {
+        const match = line.match(/^([\w-]+):(?:\s+(.*))?$/);
+        if (match) {
+            fields.push({ key: match[1], first: match[2] || '', rest: [] });
+        } else if (fields.length > 0 && (/^\s/.test(line) || !line.trim())) {
+            fields[fields.length - 1].rest.push(line);
+        }
+    }
+
+    const data = {};
+    for (const { key, first, rest } of fields) {
+        while (rest.length > 0 && !rest[rest.length - 1].trim()) rest.pop();
+        data[key] = rest.length > 0 ? parseMultiline(first, rest) : parseScalar(first);
+    }
+
+    return { data, body: lines.slice(end + 1).join('\n').replace(/^\n+/, ''), hasFrontmatter: true, closed: true };
+}
+
+/**
+ * Quote a value when plain YAML would misread it
+ */
+function formatScalar(value) {
+    if (typeof value === 'boolean') return String(value);
+    if (value === '') return '';
+    if (/^[\w./~*-][^:#\n]*$/.test(value) && !/^(true|false|null|yes|no|~)$/i.test(value) && value.trim() === value) {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Render a frontmatter header (values that are null/undefined are skipped)
+ * @param {Object<string, string|boolean>} data
+ * @returns {string} Header including both fences and a trailing newline
+ */
+export function stringifyFrontmatter(data) {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => {
+            const formatted = formatScalar(value);
+            return formatted === '' ? `${key}:` : `${key}: ${formatted}`;
+        });
+    return `${FENCE}\n${lines.join('\n')}\n${FENCE}\n`;
+}
@@ -17,11 +17,17 @@ import {
     getAvailableAssets,
     detectTool,
     installAsset,
-    installAllAssets
+    installAllAssets,
+    getTargetDir,
+    describeMissing
 } from './installer.js';
 
+import { printSummary } from './summary.js';
+
 /**
  * Main AI Tools setup menu
+ * @returns {Promise<{tool: string, installed: Array<{asset: string, path: string}>}|null>}
+ *   null when the user went back without installing
  */
 export async function setupAITools() {
     console.log('');
@@ -88,18 +94,39 @@ async function installFlow() {
         return null;
     }
 
+    const detectedTools = [];
+    for (const t of supportedTools) {
+        if (await detectTool(t.id)) detectedTools.push(t);
+    }
+
+    const toolChoices = supportedTools.map(t => ({
+        name: `${chalk.cyan(t.name)} ${chalk.dim('- ' + t.description)}`,
+        value: t.id
+    }));
+    if (detectedTools.length > 1) {
+        toolChoices.unshift(
+            {
+                name: `${chalk.green('All detected tools')} ${chalk.dim('- ' + detectedTools.map(t => t.name).join(', '))}`,
+                value: '__all__'
+            },
+            new inquirer.Separator()
+        );
+    }
+
     const { toolId } = await inquirer.prompt([
         {
             type: 'list',
             name: 'toolId',
             message: 'Select coding tool:',
-            choices: supportedTools.map(t => ({
-                name: `${chalk.cyan(t.name)} ${chalk.dim('- ' + t.description)}`,
-                value: t.id
-            }))
+            choices: toolChoices
         }
     ]);
 
+    if (toolId === '__all__') {
+        console.log('');
+        return await installToToolsFlow(assetType, detectedTools);
+    }
+
     const tool = getTool(toolId);
 
     // Check if tool is installed
@@ -125,50 +152,37 @@ async function installFlow() {
     console.log('');
 
     // Step 4: Select asset(s)
-    const assetChoices = [
-        ...assets.map(a => ({
-            name: `${chalk.cyan(a.name)} ${chalk.dim('- ' + a.description)}`,
-            value: a.name
-        })),
-        new inquirer.Separator(),
-        {
-            name: chalk.green(`Install all ${assetType.name.toLowerCase()}`),
-            value: '__all__'
-        }
-    ];
-
-    const { selectedAsset } = await inquirer.prompt([
-        {
-            type: 'list',
-            name: 'selectedAsset',
-            message: `Select ${assetType.name.toLowerCase().slice(0, -1)} to install:`,
-            choices: assetChoices
-        }
-    ]);
-    console.log('');
+    const selectedAsset = await selectAsset(assetType, assets);
 
     // Step 5: Select installation location
     const assetConfig = tool.assets[assetTypeId];
+    const locationChoices = [
+        {
+            name: `${chalk.cyan('Current workspace')} ${chalk.dim(`- ./${assetConfig.workspacePath}`)}`,
+            value: 'workspace'
+        }
+    ];
+    if (assetConfig.globalPath) {
+        locationChoices.unshift({
+            name: `${chalk.cyan('Global')} ${chalk.dim(`- ${assetConfig.globalPath}`)}`,
+            value: 'global'
+        });
+    }
 
     const { location } = await inquirer.prompt([
         {
             type: 'list',
             name: 'location',
             message: 'Where to install?',
-            choices: [
-                {
-                    name: `${chalk.cyan('Global')} ${chalk.dim(`- ${assetConfig.globalPath}`)}`,
-                    value: 'global'
-                },
-                {
-                    name: `${chalk.cyan('Current workspace')} ${chalk.dim(`- ./${assetConfig.workspacePath}`)}`,
-                    value: 'workspace'
-                }
-            ]
+            choices: locationChoices
         }
     ]);
     console.log('');
 
+    if (location === 'workspace' && !await confirmWorkspace([getTargetDir(toolId, assetTypeId, 'workspace')])) {
+        return null;
+    }
+
     // Step 6: Install
     const spinner = ora(`Installing ${assetType.name.toLowerCase()}...`).start();
 
@@ -184,12 +198,25 @@ async function installFlow() {
     // Handle results
     let hasConflicts = false;
     const conflictAssets = [];
+    const installed = [];
+
+    for (let result of results) {
+        if (result.missingRequirements) {
+            const { asset, missing } = result;
+            result = {
+                asset,
+                ...await installAnyway(asset, missing, () =>
+                    installAsset(assetTypeId, toolId, asset, location, false, { allowMissing: true }))
+            };
+        }
 
-    for (const result of results) {
         if (result.exists) {
             hasConflicts = true;
             conflictAssets.push(result.asset);
+        } else if (result.skipped) {
+            console.log(chalk.yellow(`Skipped: ${result.asset} (missing prerequisites)`));
         } else if (result.success) {
+            installed.push({ asset: result.asset, path: result.path });
             console.log(chalk.green(`✓ ${result.asset} installed to ${result.path}`));
         } else if (result.error) {
             console.log(chalk.red(`✗ ${result.asset}: ${result.error}`));
@@ -213,10 +240,17 @@ async function installFlow() {
             const spinner2 = ora('Overwriting...').start();
 
             for (const assetName of conflictAssets) {
-                const result = await installAsset(assetTypeId, toolId, assetName, location, true);
+                let result = await installAsset(assetTypeId, toolId, assetName, location, true);
                 spinner2.stop();
+                if (result.missingRequirements) {
+                    result = await installAnyway(assetName, result.missing, () =>
+                        installAsset(assetTypeId, toolId, assetName, location, true, { allowMissing: true }));
+                }
 
-                if (result.success) {
+                if (result.skipped) {
+                    console.log(chalk.yellow(`Skipped: ${assetName} (missing prerequisites)`));
+                } else if (result.success) {
+                    installed.push({ asset: assetName, path: result.path });
                     console.log(chalk.green(`✓ ${assetName} installed to ${result.path}`));
                 } else {
                     console.log(chalk.red(`✗ ${assetName}: ${result.error}`));
@@ -231,7 +265,199 @@ async function installFlow() {
     console.log(chalk.green(`✓ ${assetType.name} installation complete!`));
     console.log(chalk.dim(`\nThe ${assetType.name.toLowerCase()} are now available for ${tool.name} to discover.`));
 
-    return {};
+    return { tool: tool.name, installed };
+}
+
+/**
+ * Report the prerequisites an asset lacks before anything is written, and ask
+ * whether to install it anyway (quick-alias doctor re-checks them later)
+ * @param {string} name - Asset name
+ * @param {Array<{requirement: string, detail: string}>} missing - From installAsset
+ * @param {Function} install - Installs with allowMissing
+ * @param {Map<string, boolean>} [answers] - Earlier answers by asset name, asked once per run
+ * @returns {Promise<Object>} install's result, or {success: false, skipped: true}
+ */
+async function installAnyway(name, missing, install, answers = new Map()) {
+    if (!answers.has(name)) {
+        console.log(chalk.yellow(`⚠️  ${name} needs ${describeMissing(missing)}`));
+        const { proceed } = await inquirer.prompt([
+            { type: 'confirm', name: 'proceed', message: `Install ${name} anyway?`, default: false }
+        ]);
+        answers.set(name, proceed);
+    }
+    return answers.get(name) ? install() : { success: false, skipped: true };
+}
+
+/**
+ * Confirm writing into the current directory, which may not be the project meant
+ * @param {string[]} dirs - Workspace directories that would be written
+ * @returns {Promise<boolean>}
+ */
+async function confirmWorkspace(dirs) {
+    console.log(chalk.dim(`Workspace: ${process.cwd()}`));
+    [...new Set(dirs)].forEach(dir => console.log(chalk.dim(`  ${dir}`)));
+    const { proceed } = await inquirer.prompt([
+        { type: 'confirm', name: 'proceed', message: 'Install into this directory?', default: true }
+    ]);
+    console.log('');
+    return proceed;
+}
+
+/**
+ * Ask which asset to install
+ * @returns {Promise<string>} Asset name, or '__all__'
+ */
+async function selectAsset(assetType, assets) {
+    const assetChoices = [
+        ...assets.map(a => ({
+            name: `${chalk.cyan(a.name)} ${chalk.dim('- ' + a.description)}`,
+            value: a.name
+        })),
+        new inquirer.Separator(),
+        {
+            name: chalk.green(`Install all ${assetType.name.toLowerCase()}`),
+            value: '__all__'
+        }
+    ];
+
+    const { selectedAsset } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'selectedAsset',
+            message: `Select ${assetType.name.toLowerCase().slice(0, -1)} to install:`,
+            choices: assetChoices
+        }
+    ]);
+    console.log('');
+    return selectedAsset;
+}
+
+/**
+ * Install to several tools at once: one asset selection and location for all,
+ * conflicts picked per destination, then a summary table
+ * @param {Object} assetType - From the registry
+ * @param {Array<Object>} tools - Detected tools
+ */
+async function installToToolsFlow(assetType, tools) {
+    // Every asset any of the tools can take; each only goes where the catalog allows it
+    const availableByTool = new Map();
+    const assets = [];
+    for (const tool of tools) {
+        const available = await getAvailableAssets(assetType.id, tool.id);
+        availableByTool.set(tool.id, available);
+        available.filter(a => !assets.some(known => known.name === a.name)).forEach(a => assets.push(a));
+    }
+
+    if (assets.length === 0) {
+        console.log(chalk.yellow(`⚠️  No ${assetType.name.toLowerCase()} available for these tools.\n`));
+        return null;
+    }
+
+    const selectedAsset = await selectAsset(assetType, assets);
+    const names = selectedAsset === '__all__' ? assets.map(a => a.name) : [selectedAsset];
+
+    const { location } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'location',
+            message: 'Where to install?',
+            choices: [
+                {
+                    name: `${chalk.cyan('Global')} ${chalk.dim('- each tool\'s global directory (tools without one are skipped)')}`,
+                    value: 'global'
+                },
+                {
+                    name: `${chalk.cyan('Current workspace')} ${chalk.dim('- each tool\'s workspace directory')}`,
+                    value: 'workspace'
+                }
+            ]
+        }
+    ]);
+    console.log('');
+
+    const hasGlobal = tool => Boolean(tool.assets[assetType.id].globalPath);
+    if (location === 'workspace' && !await confirmWorkspace(tools.map(tool => getTargetDir(tool.id, assetType.id, 'workspace')))) {
+        return null;
+    }
+
+    const spinner = ora(`Installing ${assetType.name.toLowerCase()}...`).start();
+    const results = [];
+    const conflicts = [];
+    const installed = [];
+    // Prerequisites belong to the machine, so one answer covers every tool
+    const answers = new Map();
+
+    const record = async (tool, toolLocation, name, result, overwrite) => {
+        if (result.missingRequirements) {
+            result = await installAnyway(name, result.missing, () =>
+                installAsset(assetType.id, tool.id, name, toolLocation, overwrite, { allowMissing: true }), answers);
+        }
+
+        if (result.skipped) {
+            results.push({ tool: tool.id, location: toolLocation, asset: `${name} (missing prerequisites)`, status: 'skipped' });
+        } else if (result.success) {
+            installed.push({ asset: name, path: result.path, tool: tool.name });
+            results.push({ tool: tool.id, location: toolLocation, asset: name, status: 'installed' });
+        } else {
+            results.push({ tool: tool.id, location: toolLocation, asset: name, status: 'failed' });
+            console.log(chalk.red(`✗ ${tool.name}: ${name}: ${result.error}`));
+        }
+    };
+
+    for (const tool of tools) {
+        // Never the current directory unless that is what was picked
+        if (location === 'global' && !hasGlobal(tool)) {
+            results.push({ tool: tool.id, location, asset: 'no global location', status: 'skipped' });
+            continue;
+        }
+
+        for (const name of names) {
+            if (!availableByTool.get(tool.id).some(a => a.name === name)) {
+                results.push({ tool: tool.id, location, asset: `${name} (not available)`, status: 'skipped' });
+                continue;
+            }
+
+            const result = await installAsset(assetType.id, tool.id, name, location, false);
+            if (result.exists) {
+                conflicts.push({ tool, location, name, path: result.path });
+            } else {
+                spinner.stop();
+                await record(tool, location, name, result, false);
+                spinner.start();
+            }
+        }
+    }
+    spinner.stop();
+
+    // Handle conflicts, one choice per destination
+    if (conflicts.length > 0) {
+        const { overwrite } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'overwrite',
+                message: 'Already installed - select the ones to overwrite:',
+                choices: conflicts.map((conflict, index) => ({
+                    name: `${conflict.tool.name}: ${chalk.cyan(conflict.name)} ${chalk.dim(conflict.path)}`,
+                    value: index
+                }))
+            }
+        ]);
+
+        for (const [index, conflict] of conflicts.entries()) {
+            if (!overwrite.includes(index)) {
+                results.push({ tool: conflict.tool.id, location: conflict.location, asset: conflict.name, status: 'skipped' });
+                continue;
+            }
+            const result = await installAsset(assetType.id, conflict.tool.id, conflict.name, conflict.location, true);
+            await record(conflict.tool, conflict.location, conflict.name, result, true);
+        }
+    }
+
+    console.log('');
+    printSummary(results);
+    console.log('');
+
+    return { tool: tools.map(t => t.name).join(', '), installed };
 }
 
 // Re-export for backward compatibility
@@ -1,39 +1,74 @@
 /**
  * AI Tools Installer - Generic installation logic using tool configurations
+ *
+ * Assets live once in assets/<type>/<name>/ and are shared by every tool that
+ * supports the type. assets/catalog.json may restrict an asset to some tools,
+ * and assets/<type>/<name>/overrides/<toolId>/ holds files that replace or add
+ * to the shared copy for one tool. {{TOOL_NAME}}, {{SKILL_DIR}}, {{GLOBAL_DIR}}
+ * and {{WORKSPACE_DIR}} in Markdown files are filled in at install time.
+ *
+ * Tools that don't read SKILL.md get the main file converted to their format
+ * (formats.js), as a rule file or a section of a shared instructions file.
+ * The rest of the asset (scripts, references) then goes to a support
+ * directory that {{SKILL_DIR}} points at.
+ *
+ * Linked installs (--link) render a directory asset once into a store and
+ * symlink each tool's path to it, so every tool sees the same copy.
  */
 
 import { promises as fs } from 'fs';
+import { homedir } from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { getTool, CODING_TOOLS } from './registry.js';
+import { getTool, getAssetType, CODING_TOOLS } from './registry.js';
+import { convertAsset, hasSection, upsertSection, removeSection } from './formats.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { validateSkillContent } from './validate.js';
+import { parseRequirements, hasRequirements, checkRequirements } from './requirements.js';
+import { getDataDir, toKey, fromKey, hashContent, readManifest, getEntry, recordInstall, syncLinked, removeEntry } from './manifest.js';
+import { VERSION } from '../version.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Assets directory relative to lib/ai-tools/
 const ASSETS_DIR = path.join(__dirname, '../../assets');
+const CATALOG_PATH = path.join(ASSETS_DIR, 'catalog.json');
+
+// Per-tool replacement files inside an asset; never copied as-is
+const OVERRIDES_DIR = 'overrides';
+
+// Canonical copies of linked assets, inside the location's data directory
+const STORE_DIR = 'store';
+
+// Placeholders that make an asset's text differ between tools
+const TOOL_PLACEHOLDERS = /\{\{(TOOL_NAME|GLOBAL_DIR|WORKSPACE_DIR)\}\}/;
 
 /**
- * Copy directory recursively, skipping unwanted files
+ * Read a directory recursively, skipping unwanted files
+ * @param {string[]} [skip] - Entry names to leave out at the top level
+ * @param {Map<string, {content: Buffer, mode: number}>} [files] - Filled in; later reads replace earlier ones
+ * @returns {Promise<Map<string, {content: Buffer, mode: number}>>} Relative path → file
  */
-async function copyDir(src, dest) {
-    await fs.mkdir(dest, { recursive: true });
+async function readDir(src, skip = [], files = new Map(), prefix = '') {
     const entries = await fs.readdir(src, { withFileTypes: true });
 
     for (const entry of entries) {
         const srcPath = path.join(src, entry.name);
-        const destPath = path.join(dest, entry.name);
 
         // Skip unwanted directories/files
         if (entry.name === '__pycache__' || entry.name === '.DS_Store') continue;
+        if (skip.includes(entry.name)) continue;
 
         if (entry.isDirectory()) {
-            await copyDir(srcPath, destPath);
+            await readDir(srcPath, [], files, path.join(prefix, entry.name));
         } else {
-            await fs.copyFile(srcPath, destPath);
+            const { mode } = await fs.stat(srcPath);
+            files.set(path.join(prefix, entry.name), { content: await fs.readFile(srcPath), mode });
         }
     }
+    return files;
 }
 
 /**
@@ -48,11 +83,158 @@ async function dirExists(dirPath) {
     }
 }
 
+/**
+ * Whether a path is a directory, following links (a dotfiles-managed ~/.claude
+ * counts; a link whose target is gone doesn't)
+ */
+async function isDirectory(dirPath) {
+    try {
+        return (await fs.stat(dirPath)).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Read assets/catalog.json; assets missing from it are available to every tool
+ * @returns {Promise<Object<string, Object<string, {tools?: string|string[]}>>>} type → name → entry
+ */
+async function readCatalog() {
+    try {
+        return JSON.parse(await fs.readFile(CATALOG_PATH, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Invalid ${CATALOG_PATH}: ${error.message}`);
+    }
+}
+
+/**
+ * Whether a catalog entry allows a tool ("*" or a missing list means every tool)
+ */
+function isCompatible(entry, toolId) {
+    const tools = entry?.tools ?? '*';
+    return tools === '*' || (Array.isArray(tools) && tools.includes(toolId));
+}
+
+/**
+ * Show a path with ~ for the home directory, as the tools document them
+ */
+function tildePath(file) {
+    const home = homedir();
+    return file.startsWith(home + path.sep) ? `~${file.slice(home.length)}` : file;
+}
+
+/**
+ * Values for the placeholders in an asset's Markdown files
+ * @param {Object} tool - From the registry
+ * @param {string} assetType
+ * @param {string} [assetDir] - Where the asset is installed
+ */
+function getPlaceholders(tool, assetType, assetDir) {
+    const config = tool.assets[assetType];
+    const globalDir = config.globalPath ? tildePath(config.globalPath) : config.workspacePath;
+    return {
+        TOOL_NAME: tool.name,
+        SKILL_DIR: assetDir ? tildePath(assetDir) : path.join(globalDir, '<name>'),
+        GLOBAL_DIR: globalDir,
+        WORKSPACE_DIR: config.workspacePath
+    };
+}
+
+/**
+ * Replace {{NAME}} placeholders; unknown ones are left alone
+ */
+function fillPlaceholders(text, values) {
+    return text.replace(/\{\{([A-Z_]+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * The files of a directory asset placed under dest, placeholders filled in
+ * every Markdown file: the shared copy first, then this tool's overrides on top
+ * @param {string[]} [skip] - Top-level names to leave out (besides overrides/)
+ * @returns {Promise<Array<{path: string, content: Buffer|string, mode: number}>>}
+ */
+async function renderDir(asset, dest, values, skip = []) {
+    const files = await readDir(asset.path, [OVERRIDES_DIR, ...skip]);
+    if (asset.overrides) {
+        await readDir(asset.overrides, skip, files);
+    }
+
+    return [...files].map(([relative, { content, mode }]) => ({
+        path: path.join(dest, relative),
+        content: relative.endsWith('.md') ? fillPlaceholders(content.toString('utf-8'), values) : content,
+        mode
+    }));
+}
+
+/**
+ * Assets of a type in the shared store, before compatibility filtering
+ * Directory assets are folders holding the marker file; file assets are single
+ * files with the type's extension. Overrides come from overrides/<toolId>/
+ * @returns {Promise<Array<{name: string, path: string, overrides: string|null, markerPath: string}>>}
+ */
+async function listStoredAssets(assetType, toolId) {
+    const source = getAssetType(assetType).source;
+    const assetsPath = path.join(ASSETS_DIR, assetType);
+    let entries;
+    try {
+        entries = await fs.readdir(assetsPath, { withFileTypes: true });
+    } catch {
+        // Assets directory doesn't exist for this type
+        return [];
+    }
+
+    const stored = [];
+
+    if (source.layout === 'file') {
+        const extension = source.fileExtension;
+        for (const entry of entries) {
+            if (!entry.isFile() || !entry.name.endsWith(extension)) continue;
+
+            const name = entry.name.slice(0, -extension.length);
+            const override = path.join(assetsPath, OVERRIDES_DIR, toolId, entry.name);
+            const overrides = await dirExists(override) ? override : null;
+            const assetPath = path.join(assetsPath, entry.name);
+            stored.push({ name, path: assetPath, overrides, markerPath: overrides || assetPath });
+        }
+        return stored;
+    }
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const assetPath = path.join(assetsPath, entry.name);
+        const overridesPath = path.join(assetPath, OVERRIDES_DIR, toolId);
+        const overridden = await dirExists(path.join(overridesPath, source.markerFile));
+        stored.push({
+            name: entry.name,
+            path: assetPath,
+            overrides: await dirExists(overridesPath) ? overridesPath : null,
+            markerPath: path.join(overridden ? overridesPath : assetPath, source.markerFile)
+        });
+    }
+    return stored;
+}
+
+/**
+ * Short description of an asset from its YAML frontmatter
+ * @param {string} content - Main file of the asset
+ * @param {string} [descField] - Frontmatter key holding the description
+ * @param {number} [maxLength] - Longer descriptions are cut with "..."
+ */
+export function describeAsset(content, descField = 'description', maxLength = 60) {
+    const value = parseFrontmatter(content).data[descField];
+    const description = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    return description
+        ? description.substring(0, maxLength) + (description.length > maxLength ? '...' : '')
+        : 'No description';
+}
+
 /**
  * Get available assets of a specific type for a specific tool
  * @param {string} assetType - 'skills', 'agents', 'workflows'
  * @param {string} toolId - 'antigravity', 'claude-code', etc.
- * @returns {Promise<Array<{name: string, description: string, path: string}>>}
+ * @returns {Promise<Array<{name: string, description: string, fullDescription: string, path: string, overrides: string|null, markerPath: string, source: string, version: string}>>}
  */
 export async function getAvailableAssets(assetType, toolId) {
     const assets = [];
@@ -63,37 +245,28 @@ export async function getAvailableAssets(assetType, toolId) {
     }
 
     const assetConfig = tool.assets[assetType];
-    const assetsPath = path.join(ASSETS_DIR, assetType, toolId);
-
-    try {
-        const entries = await fs.readdir(assetsPath, { withFileTypes: true });
-
-        for (const entry of entries) {
-            if (entry.isDirectory()) {
-                const assetPath = path.join(assetsPath, entry.name);
-                const markerPath = path.join(assetPath, assetConfig.markerFile);
-
-                try {
-                    const content = await fs.readFile(markerPath, 'utf-8');
-                    // Extract description from YAML frontmatter
-                    const descField = assetConfig.descriptionField || 'description';
-                    const descMatch = content.match(new RegExp(`${descField}:\\s*["']?([^"'\\n]+)["']?`));
-                    const description = descMatch
-                        ? descMatch[1].substring(0, 60) + (descMatch[1].length > 60 ? '...' : '')
-                        : 'No description';
-
-                    assets.push({
-                        name: entry.name,
-                        description,
-                        path: assetPath
-                    });
-                } catch {
-                    // Skip directories without marker file
-                }
-            }
+    const catalog = (await readCatalog())[assetType] || {};
+
+    for (const stored of await listStoredAssets(assetType, toolId)) {
+        if (!isCompatible(catalog[stored.name], toolId)) continue;
+
+        try {
+            const content = fillPlaceholders(await fs.readFile(stored.markerPath, 'utf-8'), getPlaceholders(tool, assetType));
+
+            assets.push({
+                name: stored.name,
+                description: describeAsset(content, assetConfig.descriptionField),
+                fullDescription: describeAsset(content, assetConfig.descriptionField, Infinity),
+                path: stored.path,
+                overrides: stored.overrides,
+                markerPath: stored.markerPath,
+                source: 'bundled',
+                // Bundled assets change with the package unless they carry their own version
+                version: parseFrontmatter(content).data.version || VERSION
+            });
+        } catch {
+            // Skip directories without marker file
         }
-    } catch {
-        // Assets directory doesn't exist for this tool/type
     }
 
     return assets;
@@ -108,12 +281,17 @@ export async function detectTool(toolId) {
     const tool = getTool(toolId);
     if (!tool) return false;
 
+    // Tools without a global asset location name their own config directory
+    if (tool.detectPath && await isDirectory(tool.detectPath)) {
+        return true;
+    }
+
     // Check if any asset type's global path exists
     for (const assetConfig of Object.values(tool.assets)) {
         if (assetConfig.supported && assetConfig.globalPath) {
             // Check parent directory (e.g., ~/.gemini/antigravity for skills)
             const parentDir = path.dirname(assetConfig.globalPath);
-            if (await dirExists(parentDir)) {
+            if (await isDirectory(parentDir)) {
                 return true;
             }
         }
@@ -122,19 +300,71 @@ export async function detectTool(toolId) {
 }
 
 /**
- * Check if an asset already exists at target location
+ * Check if an asset (directory, single file or link) already exists at its install path
+ * A link counts even when its store is gone, so it is replaced rather than written through
+ * @param {string} assetPath - From getAssetPath
+ */
+export async function assetExists(assetPath) {
+    try {
+        await fs.lstat(assetPath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Where a linked install points, or null for a copy
+ * @returns {Promise<string|null>} Absolute store path
+ */
+export async function getLinkTarget(assetPath) {
+    try {
+        if (!(await fs.lstat(assetPath)).isSymbolicLink()) return null;
+        return path.resolve(path.dirname(assetPath), await fs.readlink(assetPath));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Point an install path at a store directory
+ * Relative links keep workspace installs valid wherever the project is checked
+ * out; Windows gets a junction, which needs no extra privileges
+ */
+async function createLink(storeDir, targetPath) {
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    if (process.platform === 'win32') {
+        await fs.symlink(storeDir, targetPath, 'junction');
+    } else {
+        await fs.symlink(path.relative(path.dirname(targetPath), storeDir), targetPath, 'dir');
+    }
+}
+
+/**
+ * Whether an asset is installed for a tool; section assets are looked up
+ * inside the shared instructions file
+ * @returns {Promise<boolean>}
  */
-export async function assetExists(assetName, targetDir) {
-    const assetPath = path.join(targetDir, assetName);
-    return await dirExists(assetPath);
+export async function isAssetInstalled(toolId, assetType, location, assetName) {
+    const assetPath = getAssetPath(toolId, assetType, location, assetName);
+    if (!assetPath) return false;
+
+    if (getTool(toolId).assets[assetType].layout !== 'section') {
+        return await assetExists(assetPath);
+    }
+    try {
+        return hasSection(await fs.readFile(assetPath, 'utf-8'), assetName);
+    } catch {
+        return false;
+    }
 }
 
 /**
- * Get target directory for installation
+ * Get target directory for installation (the shared file for section layouts)
  * @param {string} toolId 
  * @param {string} assetType 
  * @param {'global'|'workspace'} location 
- * @returns {string|null}
+ * @returns {string|null} null when the tool has no such location
  */
 export function getTargetDir(toolId, assetType, location) {
     const tool = getTool(toolId);
@@ -145,7 +375,7 @@ export function getTargetDir(toolId, assetType, location) {
     const assetConfig = tool.assets[assetType];
 
     if (location === 'global') {
-        return assetConfig.globalPath;
+        return assetConfig.globalPath ?? null;
     } else {
         return path.join(process.cwd(), assetConfig.workspacePath);
     }
@@ -158,40 +388,316 @@ export function getTargetDir(toolId, assetType, location) {
  * @param {string} assetName - Name of asset to install
  * @param {'global'|'workspace'} location - Where to install
  * @param {boolean} overwrite - Overwrite existing
- * @returns {Promise<{success: boolean, path?: string, error?: string, exists?: boolean}>}
+ * @param {Object} [options]
+ * @param {Array} [options.assets] - Where to look the asset up (default: the bundled
+ *   assets; sources.js provides the ones from git, directories and archives)
+ * @param {boolean} [options.link] - Symlink to a shared store copy instead of copying
+ * @param {boolean} [options.allowMissing] - Install even when declared prerequisites are missing
+ * @returns {Promise<{success: boolean, path?: string, error?: string, exists?: boolean, missingRequirements?: boolean, missing?: Array<{requirement: string, detail: string}>}>}
+ *   missing lists the declared requirements this machine lacks; without allowMissing
+ *   nothing is written and missingRequirements is set instead
  */
-export async function installAsset(assetType, toolId, assetName, location, overwrite = false) {
-    const assets = await getAvailableAssets(assetType, toolId);
+export async function installAsset(assetType, toolId, assetName, location, overwrite = false, { assets, link = false, allowMissing = false } = {}) {
+    assets ??= await getAvailableAssets(assetType, toolId);
     const asset = assets.find(a => a.name === assetName);
 
     if (!asset) {
         return { success: false, error: `Asset '${assetName}' not found for ${toolId}` };
     }
 
+    // Skills are checked against the skill-creator rules before anything is written
+    const content = await fs.readFile(asset.markerPath, 'utf-8');
+    if (assetType === 'skills') {
+        const errors = validateSkillContent(content);
+        if (errors.length > 0) {
+            return { success: false, error: `Invalid skill: ${errors.join('; ')}` };
+        }
+    }
+
     const targetDir = getTargetDir(toolId, assetType, location);
     if (!targetDir) {
-        return { success: false, error: `${assetType} not supported for ${toolId}` };
+        return { success: false, error: `${assetType} not supported for ${toolId} (${location})` };
     }
 
-    const targetPath = path.join(targetDir, assetName);
+    const targetPath = getAssetPath(toolId, assetType, location, assetName);
+    const assetConfig = getTool(toolId).assets[assetType];
+
+    if (link && assetConfig.layout && assetConfig.layout !== 'directory') {
+        return { success: false, error: `${getTool(toolId).name} gets ${assetType} converted to its own format, so they can't be linked` };
+    }
 
     // Check if already exists
-    if (!overwrite && await assetExists(assetName, targetDir)) {
+    if (!overwrite && await isAssetInstalled(toolId, assetType, location, assetName)) {
         return { success: false, exists: true, path: targetPath };
     }
 
+    // Declared prerequisites are checked before anything is written; quick-alias doctor re-checks them later
+    const { requires } = parseRequirements(parseFrontmatter(content).data.requires);
+    const missing = hasRequirements(requires)
+        ? (await checkRequirements(requires)).filter(check => !check.ok).map(({ requirement, detail }) => ({ requirement, detail }))
+        : [];
+    if (missing.length > 0 && !allowMissing) {
+        return { success: false, missingRequirements: true, missing, path: targetPath };
+    }
+
     try {
-        // Remove existing if overwriting
-        if (overwrite) {
+        const rendered = await renderAsset(assetType, toolId, asset, location, { link });
+
+        // Remove existing if overwriting; a shared file keeps everything but the asset's section.
+        // fs.rm removes a link itself, never the store it points at
+        if (overwrite && assetConfig.layout !== 'section') {
             try {
                 await fs.rm(targetPath, { recursive: true, force: true });
             } catch {
                 // Ignore if doesn't exist
             }
         }
+        for (const dir of [rendered.support, rendered.store]) {
+            if (dir) await fs.rm(dir, { recursive: true, force: true });
+        }
+
+        for (const file of rendered.files) {
+            await fs.mkdir(path.dirname(file.path), { recursive: true });
+            await fs.writeFile(file.path, file.content, { mode: file.mode });
+        }
+        if (rendered.section) {
+            let current = '';
+            try {
+                current = await fs.readFile(targetPath, 'utf-8');
+            } catch {
+                // Created with the first section
+            }
+            await fs.mkdir(path.dirname(targetPath), { recursive: true });
+            await fs.writeFile(targetPath, upsertSection(current, assetName, rendered.section), 'utf-8');
+        }
+        if (rendered.store) {
+            await createLink(rendered.store, targetPath);
+        }
 
-        // Copy asset directory
-        await copyDir(asset.path, targetPath);
+        const entry = {
+            tool: toolId,
+            type: assetType,
+            name: assetName,
+            source: asset.source || 'bundled',
+            version: asset.version ?? null,
+            layout: assetConfig.layout || 'directory',
+            path: toKey(location, targetPath),
+            support: rendered.support && toKey(location, rendered.support),
+            link: rendered.store && toKey(location, rendered.store),
+            files: hashRendered(rendered, location, targetPath, assetName),
+            requires: hasRequirements(requires) ? requires : null,
+            missing
+        };
+        const previous = await getEntry(location, entry);
+        await recordInstall(location, entry);
+        // Other tools linked to the same store now see the new files too
+        if (entry.link) await syncLinked(location, entry);
+        if (previous?.link && previous.link !== entry.link) {
+            await removeUnusedStore(location, previous.link);
+        }
+
+        return { success: true, path: targetPath, missing };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * One line naming what an install lacks, for warnings
+ * @param {Array<{requirement: string, detail: string}>} missing - From installAsset
+ */
+export function describeMissing(missing) {
+    return missing.map(({ requirement, detail }) => `${requirement} (${detail})`).join(', ');
+}
+
+/**
+ * Workspace installs are referenced relative to the project, so they can be committed
+ */
+function relativeAssetDir(location, assetConfig, targetPath) {
+    return location === 'workspace'
+        ? path.join(assetConfig.workspacePath, path.basename(targetPath))
+        : targetPath;
+}
+
+/**
+ * Everything an install writes, without touching the disk
+ * Tools that read the asset as-is get its files; others get the main file
+ * converted, with the rest of a directory asset (scripts, references) in a
+ * support directory that {{SKILL_DIR}} points at
+ * @param {string} assetType
+ * @param {string} toolId
+ * @param {Object} asset - From getAvailableAssets or getSourceAssets
+ * @param {'global'|'workspace'} location
+ * @param {Object} [options]
+ * @param {boolean} [options.link] - Render into the store (see getStoreDir) for linking
+ * @returns {Promise<{files: Array<{path: string, content: Buffer|string, mode?: number}>, section: string|null, support: string|null, store: string|null}>}
+ */
+export async function renderAsset(assetType, toolId, asset, location, { link = false } = {}) {
+    const tool = getTool(toolId);
+    const assetConfig = tool.assets[assetType];
+    const source = getAssetType(assetType).source;
+    const targetPath = getAssetPath(toolId, assetType, location, asset.name);
+    let assetDir = relativeAssetDir(location, assetConfig, targetPath);
+
+    if (!assetConfig.layout || assetConfig.layout === 'directory') {
+        if (link) {
+            const store = await getStoreDir(assetType, toolId, asset, location);
+            const storeDir = location === 'workspace' ? path.relative(process.cwd(), store) : store;
+            const files = await renderDir(asset, store, getPlaceholders(tool, assetType, storeDir));
+            return { files, section: null, support: null, store };
+        }
+        const files = await renderDir(asset, targetPath, getPlaceholders(tool, assetType, assetDir));
+        return { files, section: null, support: null, store: null };
+    }
+
+    // Directory assets keep their scripts and references next to the converted file
+    let files = [];
+    let support = null;
+    if (source.layout === 'directory') {
+        const supportDir = path.join(getDataDir(location), assetType, asset.name);
+        const relative = location === 'workspace' ? path.relative(process.cwd(), supportDir) : supportDir;
+        files = await renderDir(asset, supportDir, getPlaceholders(tool, assetType, relative), [source.markerFile]);
+        if (files.length > 0) {
+            support = supportDir;
+            assetDir = relative;
+        }
+    }
+
+    const mainFile = source.layout === 'directory' ? asset.markerPath : (asset.overrides || asset.path);
+    const content = fillPlaceholders(await fs.readFile(mainFile, 'utf-8'), getPlaceholders(tool, assetType, assetDir));
+    const converted = convertAsset(assetConfig.format, asset.name, content);
+
+    if (assetConfig.layout === 'section') {
+        return { files, section: converted, support, store: null };
+    }
+    return { files: [...files, { path: targetPath, content: converted }], section: null, support, store: null };
+}
+
+/**
+ * The main file as a tool receives it: SKILL.md, an agent or workflow, or the
+ * rule or section it is converted to
+ * @returns {Promise<{path: string, content: string}>} path is where the tool reads it
+ */
+export async function renderMainFile(assetType, toolId, asset, location) {
+    const rendered = await renderAsset(assetType, toolId, asset, location);
+    const targetPath = getAssetPath(toolId, assetType, location, asset.name);
+    if (rendered.section) return { path: targetPath, content: rendered.section };
+
+    const { layout = 'directory' } = getTool(toolId).assets[assetType];
+    const { source } = getAssetType(assetType);
+    const mainPath = layout === 'directory' && source.layout === 'directory'
+        ? path.join(targetPath, source.markerFile)
+        : targetPath;
+    return { path: mainPath, content: String(rendered.files.find(file => file.path === mainPath).content) };
+}
+
+/**
+ * Files of an asset as stored, with a tool's overrides applied
+ * @param {Object} asset - From getAvailableAssets or getSourceAssets
+ * @returns {Promise<Array<{path: string, size: number, mode: number}>>} Paths relative to the asset, sorted
+ */
+export async function listAssetFiles(asset) {
+    const stat = await fs.stat(asset.path);
+    if (stat.isFile()) {
+        const file = asset.overrides || asset.path;
+        return [{ path: path.basename(asset.path), size: (await fs.stat(file)).size, mode: stat.mode }];
+    }
+
+    const files = await readDir(asset.path, [OVERRIDES_DIR]);
+    if (asset.overrides) await readDir(asset.overrides, [], files);
+    return [...files]
+        .map(([relative, { content, mode }]) => ({ path: relative.split(path.sep).join('/'), size: content.length, mode }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Store directory a linked asset is rendered into
+ * Tools share <type>/<name> unless the asset has overrides for the tool or
+ * mentions it by name or path; those get <type>/<name>@<toolId>
+ * @returns {Promise<string>}
+ */
+async function getStoreDir(assetType, toolId, asset, location) {
+    const files = await readDir(asset.path, [OVERRIDES_DIR]);
+    const toolSpecific = asset.overrides !== null
+        || [...files].some(([relative, { content }]) => relative.endsWith('.md') && TOOL_PLACEHOLDERS.test(content.toString('utf-8')));
+
+    const name = toolSpecific ? `${asset.name}@${toolId}` : asset.name;
+    return path.join(getDataDir(location), STORE_DIR, assetType, name);
+}
+
+/**
+ * Manifest hashes for a rendered asset
+ * @returns {Object<string, string>} Manifest key → sha256
+ */
+function hashRendered(rendered, location, targetPath, assetName) {
+    const hashes = {};
+    for (const file of rendered.files) {
+        hashes[toKey(location, file.path)] = hashContent(file.content);
+    }
+    if (rendered.section) {
+        // As stored between the section markers
+        hashes[`${toKey(location, targetPath)}#${assetName}`] = hashContent(rendered.section.trim());
+    }
+    return hashes;
+}
+
+/**
+ * Whether installing an asset now would write something other than what the
+ * manifest entry records
+ * @param {Object} entry - From the manifest
+ * @param {Object} asset - The asset as currently available
+ */
+export async function isOutdated(entry, asset, location) {
+    const rendered = await renderAsset(entry.type, entry.tool, asset, location, { link: Boolean(entry.link) });
+    const current = hashRendered(rendered, location, getAssetPath(entry.tool, entry.type, location, entry.name), entry.name);
+    const keys = new Set([...Object.keys(current), ...Object.keys(entry.files)]);
+    return [...keys].some(key => current[key] !== entry.files[key]);
+}
+
+/**
+ * Remove an installed asset: its directory, file or link, or its section of a
+ * shared file (the file goes too once nothing else is left in it), and its
+ * support or store directory unless another tool's install still uses it
+ * @param {string} assetType
+ * @param {string} toolId
+ * @param {string} assetName
+ * @param {'global'|'workspace'} location
+ * @returns {Promise<{success: boolean, path?: string, error?: string}>}
+ */
+export async function uninstallAsset(assetType, toolId, assetName, location) {
+    const targetPath = getAssetPath(toolId, assetType, location, assetName);
+    if (!targetPath) {
+        return { success: false, error: `${assetType} not supported for ${toolId} (${location})` };
+    }
+
+    try {
+        if (getTool(toolId).assets[assetType].layout === 'section') {
+            let current = null;
+            try {
+                current = await fs.readFile(targetPath, 'utf-8');
+            } catch {
+                // Nothing left to remove
+            }
+            if (current !== null) {
+                const remaining = removeSection(current, assetName);
+                if (remaining.trim()) {
+                    await fs.writeFile(targetPath, remaining, 'utf-8');
+                } else {
+                    await fs.rm(targetPath, { force: true });
+                }
+            }
+        } else {
+            await fs.rm(targetPath, { recursive: true, force: true });
+        }
+
+        const manifest = await readManifest(location);
+        const entry = manifest.assets.find(a => a.tool === toolId && a.type === assetType && a.name === assetName);
+        if (entry?.support) {
+            const shared = manifest.assets.some(other => other !== entry && other.support === entry.support);
+            if (!shared) await fs.rm(fromKey(location, entry.support), { recursive: true, force: true });
+        }
+        await removeEntry(location, { tool: toolId, type: assetType, name: assetName });
+        if (entry?.link) await removeUnusedStore(location, entry.link);
 
         return { success: true, path: targetPath };
     } catch (error) {
@@ -199,6 +705,17 @@ export async function installAsset(assetType, toolId, assetName, location, overw
     }
 }
 
+/**
+ * Delete a store directory once no install links to it any more
+ * @param {string} link - Manifest key of the store
+ */
+async function removeUnusedStore(location, link) {
+    const manifest = await readManifest(location);
+    if (!manifest.assets.some(entry => entry.link === link)) {
+        await fs.rm(fromKey(location, link), { recursive: true, force: true });
+    }
+}
+
 /**
  * Install all available assets of a type to a tool
  * @param {string} assetType 
@@ -223,10 +740,15 @@ export async function installAllAssets(assetType, toolId, location, overwrite =
 }
 
 /**
- * Get display path for user feedback
+ * Path an asset is installed to: a directory, a single file for file assets,
+ * or the shared instructions file for section assets
+ * @returns {string|null}
  */
-export function getDisplayPath(toolId, assetType, location, assetName) {
+export function getAssetPath(toolId, assetType, location, assetName) {
     const targetDir = getTargetDir(toolId, assetType, location);
     if (!targetDir) return null;
-    return path.join(targetDir, assetName);
+
+    const assetConfig = getTool(toolId).assets[assetType];
+    if (assetConfig.layout === 'section') return targetDir;
+    return path.join(targetDir, assetConfig.layout === 'file' ? `${assetName}${assetConfig.fileExtension}` : assetName);
 }
@@ -0,0 +1,182 @@
+/**
+ * Manifest - what quick-alias installed in a location, and whether it was changed since
+ * One manifest per location: ~/.config/quick-alias/assets/manifest.json for global
+ * installs, .quick-alias/manifest.json in the workspace. Each entry records the
+ * asset's source, version, a hash of every file written for it and the result of
+ * its prerequisite check (see requirements.js); file paths are
+ * relative to the home directory (global) or the workspace, and a section of a
+ * shared file is recorded as "<file>#<name>".
+ */
+
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { CONFIG_DIR } from '../profile.js';
+import { getSection } from './formats.js';
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * quick-alias's own directory in a location (manifest, support files, store of linked assets)
+ * @param {'global'|'workspace'} location
+ */
+export function getDataDir(location) {
+    return location === 'workspace'
+        ? path.join(process.cwd(), '.quick-alias')
+        : path.join(CONFIG_DIR, 'assets');
+}
+
+/**
+ * Directory manifest paths are relative to
+ */
+function getRoot(location) {
+    return location === 'workspace' ? process.cwd() : homedir();
+}
+
+/**
+ * Manifest key for an absolute path
+ */
+export function toKey(location, file) {
+    return path.relative(getRoot(location), file).split(path.sep).join('/');
+}
+
+/**
+ * Absolute path for a manifest key (section keys lose their "#<name>")
+ */
+export function fromKey(location, key) {
+    return path.join(getRoot(location), key.replace(/#[^/]*$/, ''));
+}
+
+/**
+ * sha256 of a file's content
+ * @param {string|Buffer} content
+ */
+export function hashContent(content) {
+    return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read a location's manifest; a missing one is empty
+ * @returns {Promise<{version: number, assets: Array<Object>}>}
+ */
+export async function readManifest(location) {
+    const file = path.join(getDataDir(location), MANIFEST_FILE);
+    try {
+        const manifest = JSON.parse(await fs.readFile(file, 'utf-8'));
+        return { version: MANIFEST_VERSION, assets: [], ...manifest };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { version: MANIFEST_VERSION, assets: [] };
+        throw new Error(`Invalid ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Write a location's manifest
+ */
+async function writeManifest(location, manifest) {
+    const dir = getDataDir(location);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+}
+
+/**
+ * Whether an entry is for the given tool, type and name
+ */
+function matches(entry, { tool, type, name }) {
+    return entry.tool === tool && entry.type === type && entry.name === name;
+}
+
+/**
+ * Look up an installed asset
+ * @returns {Promise<Object|null>}
+ */
+export async function getEntry(location, { tool, type, name }) {
+    const manifest = await readManifest(location);
+    return manifest.assets.find(entry => matches(entry, { tool, type, name })) || null;
+}
+
+/**
+ * Record an install, replacing the asset's earlier entry
+ * @param {'global'|'workspace'} location
+ * @param {Object} entry - {tool, type, name, source, version, layout, path, support, link, files, requires, missing}
+ */
+export async function recordInstall(location, entry) {
+    const manifest = await readManifest(location);
+    manifest.assets = manifest.assets.filter(existing => !matches(existing, entry));
+    manifest.assets.push({ ...entry, installedAt: new Date().toISOString() });
+    manifest.assets.sort((a, b) => `${a.tool}/${a.type}/${a.name}`.localeCompare(`${b.tool}/${b.type}/${b.name}`));
+    await writeManifest(location, manifest);
+}
+
+/**
+ * Copy the files, version and requirements of a linked install to the other entries that
+ * share its store, since they now see the same files
+ * @param {'global'|'workspace'} location
+ * @param {Object} entry - Just recorded, with a link
+ */
+export async function syncLinked(location, entry) {
+    const manifest = await readManifest(location);
+    let changed = false;
+    for (const other of manifest.assets) {
+        if (other.link !== entry.link || matches(other, entry)) continue;
+        Object.assign(other, { source: entry.source, version: entry.version, files: entry.files, requires: entry.requires, missing: entry.missing });
+        changed = true;
+    }
+    if (changed) await writeManifest(location, manifest);
+}
+
+/**
+ * Store the result of a fresh prerequisite check
+ * @param {'global'|'workspace'} location
+ * @param {Object} entry - {tool, type, name}
+ * @param {Array<{requirement: string, detail: string}>} missing
+ */
+export async function recordMissing(location, entry, missing) {
+    const manifest = await readManifest(location);
+    const existing = manifest.assets.find(other => matches(other, entry));
+    if (!existing) return;
+    existing.missing = missing;
+    await writeManifest(location, manifest);
+}
+
+/**
+ * Forget an uninstalled asset
+ */
+export async function removeEntry(location, { tool, type, name }) {
+    const manifest = await readManifest(location);
+    manifest.assets = manifest.assets.filter(entry => !matches(entry, { tool, type, name }));
+    await writeManifest(location, manifest);
+}
+
+/**
+ * Files of an install that no longer match what quick-alias wrote
+ * @param {'global'|'workspace'} location
+ * @param {Object} entry - From the manifest
+ * @returns {Promise<Array<{key: string, state: 'modified'|'missing'}>>}
+ */
+export async function findLocalChanges(location, entry) {
+    const changes = [];
+    for (const [key, hash] of Object.entries(entry.files)) {
+        let content;
+        try {
+            content = await fs.readFile(fromKey(location, key));
+        } catch {
+            changes.push({ key, state: 'missing' });
+            continue;
+        }
+
+        if (entry.layout === 'section' && key === `${entry.path}#${entry.name}`) {
+            content = getSection(content.toString('utf-8'), entry.name);
+            if (content === null) {
+                changes.push({ key, state: 'missing' });
+                continue;
+            }
+        }
+        if (hashContent(content) !== hash) {
+            changes.push({ key, state: 'modified' });
+        }
+    }
+    return changes;
+}
@@ -0,0 +1,160 @@
+/**
+ * Pack - zip a skill folder for distribution, like skill-creator/scripts/package_skill.py
+ * The archive is <name>.zip with every file under a top-level <name>/ folder,
+ * deflated, with Unix permissions kept - the layout package_skill.py writes and
+ * `skills install <file>.zip` reads. Written with zlib alone, so no Python or
+ * zip binary is needed.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { deflateRawSync } from 'zlib';
+import { validateSkill } from './validate.js';
+
+// Never packed (the installer skips them too)
+const IGNORED_FILES = ['__pycache__', '.DS_Store'];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as zip entries record it
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a modification time
+ */
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{name: string, content: Buffer, mode: number, mtime: Date}>} entries - name uses / separators
+ * @returns {Buffer}
+ */
+export function createZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf-8');
+        const compressed = deflateRawSync(entry.content);
+        const crc = crc32(entry.content);
+        const { time, date } = dosDateTime(entry.mtime);
+        // Bit 11: the name is UTF-8
+        const flags = /^[\x20-\x7e]*$/.test(entry.name) ? 0 : 0x800;
+
+        if (offset + compressed.length > 0xffffffff || entry.content.length > 0xffffffff) {
+            throw new Error(`${entry.name} is too large to pack`);
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);               // Version needed: deflate
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(8, 8);                // Method: deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(entry.content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE((3 << 8) | 20, 4);  // Made by: Unix, so the mode below is read
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(entry.content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(((entry.mode & 0xffff) << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Every file under dir, relative to it with / separators, sorted
+ */
+async function listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+        if (IGNORED_FILES.includes(entry.name)) continue;
+
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        const stat = await fs.stat(path.join(dir, relative));
+        if (stat.isDirectory()) {
+            files.push(...await listFiles(dir, relative));
+        } else if (stat.isFile()) {
+            files.push(relative);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Validate a skill folder and zip it to <outDir>/<folder name>.zip
+ * @param {string} skillDir - Folder holding SKILL.md
+ * @param {string} [outDir] - Default: the working directory
+ * @returns {Promise<{valid: boolean, errors: string[], file?: string, entries?: string[]}>}
+ *   entries are the archive paths, e.g. "my-skill/SKILL.md"
+ */
+export async function packSkill(skillDir, outDir = process.cwd()) {
+    const dir = path.resolve(skillDir);
+    const stat = await fs.stat(dir).catch(() => null);
+    if (!stat?.isDirectory()) {
+        return { valid: false, errors: [`Not a directory: ${dir}`] };
+    }
+
+    const { valid, errors } = await validateSkill(dir);
+    if (!valid) return { valid, errors };
+
+    const name = path.basename(dir);
+    const file = path.join(path.resolve(outDir), `${name}.zip`);
+    const entries = [];
+    for (const relative of await listFiles(dir)) {
+        const source = path.join(dir, relative);
+        // Packing into the skill itself mustn't swallow the previous archive
+        if (source === file) continue;
+
+        const { mode, mtime } = await fs.stat(source);
+        entries.push({ name: `${name}/${relative}`, content: await fs.readFile(source), mode, mtime });
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, createZip(entries));
+
+    return { valid: true, errors: [], file, entries: entries.map(entry => entry.name) };
+}
@@ -13,25 +13,33 @@ export const ASSET_TYPES = {
         id: 'skills',
         name: 'Skills',
         description: 'AI capability extensions',
-        icon: '🧠'
+        icon: '🧠',
+        // How assets/<type>/ stores them: folders identified by a marker file
+        source: { layout: 'directory', markerFile: 'SKILL.md' }
     },
     agents: {
         id: 'agents',
         name: 'Agents',
         description: 'Autonomous AI agents',
-        icon: '🤖'
+        icon: '🤖',
+        source: { layout: 'file', fileExtension: '.md' }
     },
     workflows: {
         id: 'workflows',
         name: 'Workflows',
         description: 'Automated task workflows',
-        icon: '⚡'
+        icon: '⚡',
+        source: { layout: 'file', fileExtension: '.md' }
     }
 };
 
 /**
  * Supported coding tools registry
- * Each tool has its own adapter with specific paths and formats
+ * Each tool has its own adapter with specific paths and formats. An asset is
+ * installed as a directory (default), a single file (layout: 'file') or a
+ * section of one shared file (layout: 'section', paths point at the file).
+ * format names the converter in formats.js ('native' when not set); tools
+ * without a global location have globalPath: null
  */
 export const CODING_TOOLS = {
     antigravity: {
@@ -44,14 +52,18 @@ export const CODING_TOOLS = {
                 supported: true,
                 globalPath: path.join(homedir(), '.gemini/antigravity/skills'),
                 workspacePath: '.agent/skills',
-                markerFile: 'SKILL.md',  // File that identifies a valid asset
                 descriptionField: 'description'  // YAML field for description
             },
             agents: {
                 supported: false  // Not yet supported
             },
             workflows: {
-                supported: false  // Not yet supported
+                supported: true,
+                layout: 'file',  // One Markdown file per workflow, run as /<name>
+                globalPath: path.join(homedir(), '.gemini/antigravity/global_workflows'),
+                workspacePath: '.agent/workflows',
+                fileExtension: '.md',
+                descriptionField: 'description'
             }
         }
     },
@@ -64,11 +76,15 @@ export const CODING_TOOLS = {
                 supported: true,
                 globalPath: path.join(homedir(), '.claude/skills'),
                 workspacePath: '.claude/skills',
-                markerFile: 'SKILL.md',
                 descriptionField: 'description'
             },
             agents: {
-                supported: false
+                supported: true,
+                layout: 'file',  // Subagents: one Markdown file each
+                globalPath: path.join(homedir(), '.claude/agents'),
+                workspacePath: '.claude/agents',
+                fileExtension: '.md',
+                descriptionField: 'description'
             },
             workflows: {
                 supported: false
@@ -84,11 +100,15 @@ export const CODING_TOOLS = {
                 supported: true,
                 globalPath: path.join(homedir(), '.opencode/skills'),
                 workspacePath: '.opencode/skills',
-                markerFile: 'SKILL.md',
                 descriptionField: 'description'
             },
             agents: {
-                supported: false
+                supported: true,
+                layout: 'file',  // Named after the file; invoked with @<name>
+                globalPath: path.join(homedir(), '.config/opencode/agent'),
+                workspacePath: '.opencode/agent',
+                fileExtension: '.md',
+                descriptionField: 'description'
             },
             workflows: {
                 supported: false
@@ -104,7 +124,118 @@ export const CODING_TOOLS = {
                 supported: true,
                 globalPath: path.join(homedir(), '.droid/skills'),
                 workspacePath: '.droid/skills',
-                markerFile: 'SKILL.md',
+                descriptionField: 'description'
+            },
+            agents: {
+                supported: false
+            },
+            workflows: {
+                supported: false
+            }
+        }
+    },
+    cursor: {
+        id: 'cursor',
+        name: 'Cursor',
+        description: 'Cursor AI code editor (project rules)',
+        detectPath: path.join(homedir(), '.cursor'),
+        assets: {
+            skills: {
+                supported: true,
+                layout: 'file',
+                format: 'cursor',
+                globalPath: null,  // User rules live in Cursor's settings, not on disk
+                workspacePath: '.cursor/rules',
+                fileExtension: '.mdc',
+                descriptionField: 'description'
+            },
+            agents: {
+                supported: false
+            },
+            workflows: {
+                supported: false
+            }
+        }
+    },
+    windsurf: {
+        id: 'windsurf',
+        name: 'Windsurf',
+        description: 'Windsurf editor (Cascade rules)',
+        detectPath: path.join(homedir(), '.codeium/windsurf'),
+        assets: {
+            skills: {
+                supported: true,
+                layout: 'file',
+                format: 'windsurf',
+                globalPath: null,  // Global rules are a single memories file
+                workspacePath: '.windsurf/rules',
+                fileExtension: '.md',
+                descriptionField: 'description'
+            },
+            agents: {
+                supported: false
+            },
+            workflows: {
+                supported: false
+            }
+        }
+    },
+    codex: {
+        id: 'codex',
+        name: 'Codex',
+        description: 'OpenAI Codex CLI (AGENTS.md)',
+        detectPath: path.join(homedir(), '.codex'),
+        assets: {
+            skills: {
+                supported: true,
+                layout: 'section',
+                format: 'section',
+                globalPath: path.join(homedir(), '.codex/AGENTS.md'),
+                workspacePath: 'AGENTS.md',
+                descriptionField: 'description'
+            },
+            agents: {
+                supported: false
+            },
+            workflows: {
+                supported: false
+            }
+        }
+    },
+    'gemini-cli': {
+        id: 'gemini-cli',
+        name: 'Gemini CLI',
+        description: 'Google Gemini CLI (GEMINI.md)',
+        detectPath: path.join(homedir(), '.gemini'),
+        assets: {
+            skills: {
+                supported: true,
+                layout: 'section',
+                format: 'section',
+                globalPath: path.join(homedir(), '.gemini/GEMINI.md'),
+                workspacePath: 'GEMINI.md',
+                descriptionField: 'description'
+            },
+            agents: {
+                supported: false
+            },
+            workflows: {
+                supported: false
+            }
+        }
+    },
+    copilot: {
+        id: 'copilot',
+        name: 'GitHub Copilot',
+        description: 'GitHub Copilot (repository custom instructions)',
+        detectPath: path.join(homedir(), '.config/github-copilot'),
+        assets: {
+            skills: {
+                supported: true,
+                layout: 'section',
+                format: 'section',
+                globalPath: null,  // Repository instructions only
+                workspacePath: '.github/copilot-instructions.md',
                 descriptionField: 'description'
             },
             agents: {
@@ -0,0 +1,224 @@
+/**
+ * Requirements - what a skill needs on the machine to run its scripts
+ * Declared in the frontmatter as
+ *
+ *   requires:
+ *     bins: [python3>=3.8, git]
+ *     python: [csv, yaml]
+ *
+ * bins are executables on PATH, optionally with a minimum version read from
+ * "<bin> --version"; python lists modules the first python bin (default python3)
+ * must be able to import. Both keys also take a block list ("- item" lines).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const KINDS = ['bins', 'python'];
+const BIN_PATTERN = /^([\w.+-]+)\s*(?:>=\s*(\d+(?:\.\d+)*))?$/;
+const MODULE_PATTERN = /^[A-Za-z_][\w.]*$/;
+
+// Prints the modules find_spec can't locate, one per line
+const FIND_MODULES = [
+    'import importlib.util, sys',
+    'for name in sys.argv[1:]:',
+    '    try:',
+    '        found = importlib.util.find_spec(name) is not None',
+    '    except Exception:',
+    '        found = False',
+    '    if not found:',
+    '        print(name)'
+].join('\n');
+
+/**
+ * Items of an inline "[a, b]" list, or of a single value
+ */
+function splitInline(value) {
+    return value.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+}
+
+/**
+ * Strip YAML quotes from a list item
+ */
+function unquote(item) {
+    return item.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Read the "requires" frontmatter value (kept as raw text by parseFrontmatter)
+ * @param {string|boolean|undefined} value
+ * @returns {{requires: {bins: Array<{name: string, min: string|null}>, python: string[]}, errors: string[]}}
+ */
+export function parseRequirements(value) {
+    const requires = { bins: [], python: [] };
+    const errors = [];
+    if (value === undefined || value === '') return { requires, errors };
+
+    if (typeof value !== 'string' || (!value.includes('\n') && !/^\s+\w+:/.test(value))) {
+        return { requires, errors: ["'requires' must be a mapping with bins and/or python lists"] };
+    }
+
+    const items = { bins: [], python: [] };
+    let current = null;
+    for (const line of value.split('\n')) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        const key = line.match(/^\s*([\w-]+):\s*(.*)$/);
+        if (key) {
+            current = KINDS.includes(key[1]) ? key[1] : null;
+            if (!current) {
+                errors.push(`Unknown requirement kind '${key[1]}' (expected: ${KINDS.join(', ')})`);
+            } else if (key[2].trim()) {
+                items[current].push(...splitInline(key[2]));
+            }
+            continue;
+        }
+
+        const item = line.match(/^\s*-\s*(.+)$/);
+        if (item && current) {
+            items[current].push(unquote(item[1]));
+        }
+    }
+
+    for (const item of items.bins) {
+        const match = item.match(BIN_PATTERN);
+        if (match) {
+            requires.bins.push({ name: match[1], min: match[2] || null });
+        } else {
+            errors.push(`Invalid bin requirement '${item}' (expected <name> or <name>>=<version>)`);
+        }
+    }
+    for (const item of items.python) {
+        if (MODULE_PATTERN.test(item)) {
+            requires.python.push(item);
+        } else {
+            errors.push(`Invalid python module '${item}'`);
+        }
+    }
+
+    return { requires, errors };
+}
+
+/**
+ * Whether a skill declares anything
+ */
+export function hasRequirements(requires) {
+    return Boolean(requires) && (requires.bins.length > 0 || requires.python.length > 0);
+}
+
+/**
+ * Full path of an executable on PATH (with PATHEXT on Windows)
+ * @returns {Promise<string|null>}
+ */
+async function findExecutable(name) {
+    const extensions = process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+        for (const extension of extensions) {
+            const candidate = path.join(dir, name + extension);
+            try {
+                await fs.access(candidate, fs.constants.X_OK);
+                if ((await fs.stat(candidate)).isFile()) return candidate;
+            } catch {
+                // Not in this directory
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * First version number an executable prints for --version
+ * @returns {Promise<string|null>}
+ */
+async function readVersion(executable) {
+    try {
+        const { stdout, stderr } = await execFileAsync(executable, ['--version'], { timeout: 10000 });
+        return `${stdout}\n${stderr}`.match(/\d+(?:\.\d+)+|\d+/)?.[0] || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Compare dotted versions numerically
+ * @returns {number} Negative when a < b, 0 when equal, positive when a > b
+ */
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Human-readable requirement, as stored in a check result
+ */
+function formatBin({ name, min }) {
+    return min ? `${name} >=${min}` : name;
+}
+
+/**
+ * Check declared requirements against this machine
+ * @param {{bins: Array<{name: string, min: string|null}>, python: string[]}} requires - From parseRequirements
+ * @returns {Promise<Array<{requirement: string, ok: boolean, detail: string}>>}
+ */
+export async function checkRequirements(requires) {
+    const checks = [];
+
+    for (const bin of requires.bins) {
+        const executable = await findExecutable(bin.name);
+        if (!executable) {
+            checks.push({ requirement: formatBin(bin), ok: false, detail: 'not found on PATH' });
+            continue;
+        }
+        if (!bin.min) {
+            checks.push({ requirement: formatBin(bin), ok: true, detail: executable });
+            continue;
+        }
+
+        const version = await readVersion(executable);
+        if (!version) {
+            checks.push({ requirement: formatBin(bin), ok: false, detail: `${executable} reports no version` });
+        } else if (compareVersions(version, bin.min) < 0) {
+            checks.push({ requirement: formatBin(bin), ok: false, detail: `${version} installed` });
+        } else {
+            checks.push({ requirement: formatBin(bin), ok: true, detail: version });
+        }
+    }
+
+    if (requires.python.length > 0) {
+        // Modules are looked up with the python the skill asks for
+        const python = requires.bins.find(bin => /^python/.test(bin.name))?.name
+            || (process.platform === 'win32' ? 'python' : 'python3');
+        const executable = await findExecutable(python);
+
+        let missing = requires.python;
+        let detail = `${python} not found on PATH`;
+        if (executable) {
+            try {
+                const { stdout } = await execFileAsync(executable, ['-c', FIND_MODULES, ...requires.python], { timeout: 30000 });
+                missing = stdout.split('\n').map(line => line.trim()).filter(Boolean);
+                detail = `not importable by ${python}`;
+            } catch (error) {
+                detail = `${python} failed: ${error.message}`;
+            }
+        }
+
+        for (const module of requires.python) {
+            const ok = !missing.includes(module);
+            checks.push({ requirement: `python module ${module}`, ok, detail: ok ? python : detail });
+        }
+    }
+
+    return checks;
+}
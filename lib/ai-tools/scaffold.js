@@ -0,0 +1,211 @@
+/**
+ * Scaffold - create a new skill folder, like skill-creator/scripts/init_skill.py
+ * The templates match init_skill.py's, so both produce the same skill
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Keep in sync with the templates in init_skill.py
+const SKILL_TEMPLATE = (name, title) => `---
+name: ${name}
+description: [TODO: Complete and informative explanation of what the skill does and when to use it. Include WHEN to use this skill - specific scenarios, file types, or tasks that trigger it.]
+---
+
+# ${title}
+
+## Overview
+
+[TODO: 1-2 sentences explaining what this skill enables]
+
+## Structuring This Skill
+
+[TODO: Choose the structure that best fits this skill's purpose. Common patterns:
+
+**1. Workflow-Based** (best for sequential processes)
+- Works well when there are clear step-by-step procedures
+- Example: DOCX skill with "Workflow Decision Tree" → "Reading" → "Creating" → "Editing"
+- Structure: ## Overview → ## Workflow Decision Tree → ## Step 1 → ## Step 2...
+
+**2. Task-Based** (best for tool collections)
+- Works well when the skill offers different operations/capabilities
+- Example: PDF skill with "Quick Start" → "Merge PDFs" → "Split PDFs" → "Extract Text"
+- Structure: ## Overview → ## Quick Start → ## Task Category 1 → ## Task Category 2...
+
+**3. Reference/Guidelines** (best for standards or specifications)
+- Works well for brand guidelines, coding standards, or requirements
+- Example: Brand styling with "Brand Guidelines" → "Colors" → "Typography" → "Features"
+- Structure: ## Overview → ## Guidelines → ## Specifications → ## Usage...
+
+**4. Capabilities-Based** (best for integrated systems)
+- Works well when the skill provides multiple interrelated features
+- Example: Product Management with "Core Capabilities" → numbered capability list
+- Structure: ## Overview → ## Core Capabilities → ### 1. Feature → ### 2. Feature...
+
+Patterns can be mixed and matched as needed. Most skills combine patterns (e.g., start with task-based, add workflow for complex operations).
+
+Delete this entire "Structuring This Skill" section when done - it's just guidance.]
+
+## [TODO: Replace with the first main section based on chosen structure]
+
+[TODO: Add content here. See examples in existing skills:
+- Code samples for technical skills
+- Decision trees for complex workflows
+- Concrete examples with realistic user requests
+- References to scripts/templates/references as needed]
+
+## Resources
+
+This skill includes example resource directories that demonstrate how to organize different types of bundled resources:
+
+### scripts/
+Executable code (Python/Bash/etc.) that can be run directly to perform specific operations.
+
+**Appropriate for:** Python scripts, shell scripts, or any executable code that performs automation, data processing, or specific operations.
+
+**Note:** Scripts may be executed without loading into context, but can still be read for patching or environment adjustments.
+
+### references/
+Documentation and reference material intended to be loaded into context to inform the agent's process and thinking.
+
+**Appropriate for:** In-depth documentation, API references, database schemas, comprehensive guides, or any detailed information that the agent should reference while working.
+
+### assets/
+Files not intended to be loaded into context, but rather used within the output produced.
+
+**Appropriate for:** Templates, boilerplate code, document templates, images, icons, fonts, or any files meant to be copied or used in the final output.
+
+---
+
+**Any unneeded directories can be deleted.** Not every skill requires all three types of resources.
+`;
+
+const EXAMPLE_SCRIPT = name => `#!/usr/bin/env python3
+"""
+Example helper script for ${name}
+
+This is a placeholder script that can be executed directly.
+Replace with actual implementation or delete if not needed.
+"""
+
+def main():
+    print("This is an example script for ${name}")
+    # TODO: Add actual script logic here
+    # This could be data processing, file conversion, API calls, etc.
+
+if __name__ == "__main__":
+    main()
+`;
+
+const EXAMPLE_REFERENCE = title => `# Reference Documentation for ${title}
+
+This is a placeholder for detailed reference documentation.
+Replace with actual reference content or delete if not needed.
+
+## When Reference Docs Are Useful
+
+Reference docs are ideal for:
+- Comprehensive API documentation
+- Detailed workflow guides
+- Complex multi-step processes
+- Information too lengthy for main SKILL.md
+- Content that's only needed for specific use cases
+
+## Structure Suggestions
+
+### API Reference Example
+- Overview
+- Authentication
+- Endpoints with examples
+- Error codes
+- Rate limits
+
+### Workflow Guide Example
+- Prerequisites
+- Step-by-step instructions
+- Common patterns
+- Troubleshooting
+- Best practices
+`;
+
+const EXAMPLE_ASSET = `# Example Asset File
+
+This placeholder represents where asset files would be stored.
+Replace with actual asset files (templates, images, fonts, etc.) or delete if not needed.
+
+Asset files are NOT intended to be loaded into context, but rather used within
+the output produced.
+
+## Common Asset Types
+
+- Templates: .pptx, .docx, boilerplate directories
+- Images: .png, .jpg, .svg, .gif
+- Fonts: .ttf, .otf, .woff, .woff2
+- Boilerplate code: Project directories, starter files
+- Icons: .ico, .svg
+- Data files: .csv, .json, .xml, .yaml
+
+Note: This is a text placeholder. Actual assets can be any file type.
+`;
+
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * Why a skill name can't be used, or null when it can
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function checkSkillName(name) {
+    if (!/^[a-z0-9-]+$/.test(name)) {
+        return `Name '${name}' should be hyphen-case (lowercase letters, digits, and hyphens only)`;
+    }
+    if (name.startsWith('-') || name.endsWith('-') || name.includes('--')) {
+        return `Name '${name}' cannot start/end with hyphen or contain consecutive hyphens`;
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return `Name '${name}' is longer than ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * my-api-helper → My Api Helper
+ */
+function titleCase(name) {
+    return name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Create <parentDir>/<name> with a template SKILL.md and example scripts/,
+ * references/ and assets/ files
+ * Throws when the name is invalid or the folder already exists
+ * @param {string} name - Hyphen-case skill name
+ * @param {string} parentDir
+ * @returns {Promise<{dir: string, files: string[]}>} files are relative to dir
+ */
+export async function createSkill(name, parentDir) {
+    const problem = checkSkillName(name);
+    if (problem) throw new Error(problem);
+
+    const dir = path.resolve(parentDir, name);
+    if (await fs.lstat(dir).then(() => true, () => false)) {
+        throw new Error(`Skill directory already exists: ${dir}`);
+    }
+
+    const title = titleCase(name);
+    const files = [
+        { path: 'SKILL.md', content: SKILL_TEMPLATE(name, title) },
+        { path: 'scripts/example.py', content: EXAMPLE_SCRIPT(name), mode: 0o755 },
+        { path: 'references/api_reference.md', content: EXAMPLE_REFERENCE(title) },
+        { path: 'assets/example_asset.txt', content: EXAMPLE_ASSET }
+    ];
+
+    for (const file of files) {
+        const target = path.join(dir, file.path);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, file.content, 'utf-8');
+        if (file.mode) await fs.chmod(target, file.mode);
+    }
+
+    return { dir, files: files.map(file => file.path) };
+}
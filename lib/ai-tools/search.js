@@ -0,0 +1,113 @@
+/**
+ * Search - find available assets by keyword
+ * Every term of the query has to appear in an asset's name, description or
+ * body; hits in the name count most, then the description, then the body
+ */
+
+import { promises as fs } from 'fs';
+import { getToolsForAssetType } from './registry.js';
+import { getAvailableAssets } from './installer.js';
+import { parseFrontmatter } from './frontmatter.js';
+
+const WEIGHTS = { name: 10, description: 4, body: 1 };
+// Long skills shouldn't win just by repeating a word
+const MAX_BODY_HITS = 5;
+const EXCERPT_LENGTH = 100;
+
+/**
+ * Every available asset of a type, once per name, with the tools that can have it
+ * @param {string} assetType
+ * @param {string} [toolId] - Only this tool's assets
+ * @returns {Promise<Array<Object>>} getAvailableAssets entries plus tools: string[]
+ */
+export async function collectAssets(assetType, toolId) {
+    const toolIds = toolId ? [toolId] : getToolsForAssetType(assetType).map(tool => tool.id);
+    const assets = [];
+    for (const id of toolIds) {
+        for (const asset of await getAvailableAssets(assetType, id)) {
+            const known = assets.find(existing => existing.name === asset.name);
+            if (known) {
+                known.tools.push(id);
+            } else {
+                assets.push({ ...asset, tools: [id] });
+            }
+        }
+    }
+    return assets;
+}
+
+/**
+ * Occurrences of a lowercase term in text
+ */
+function countHits(text, term) {
+    let count = 0;
+    for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * The first body line mentioning a term, shortened around the hit
+ */
+function findExcerpt(body, terms) {
+    for (const line of body.split('\n')) {
+        const text = line.trim().replace(/\s+/g, ' ');
+        const lower = text.toLowerCase();
+        const hits = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+        if (hits.length === 0) continue;
+        if (text.length <= EXCERPT_LENGTH) return text;
+
+        const start = Math.max(0, Math.min(Math.min(...hits) - 30, text.length - EXCERPT_LENGTH));
+        const end = start + EXCERPT_LENGTH;
+        return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+    }
+    return null;
+}
+
+/**
+ * Rank assets against a query
+ * @param {Array<Object>} assets - From collectAssets
+ * @param {string} query - Space-separated keywords, case-insensitive
+ * @returns {Promise<Array<{name: string, description: string, tools: string[], score: number, matched: string[], excerpt: string|null}>>}
+ *   Best match first; matched names the fields a term was found in
+ */
+export async function searchAssets(assets, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    for (const asset of assets) {
+        const { body } = parseFrontmatter(await fs.readFile(asset.markerPath, 'utf-8'));
+        const description = asset.fullDescription;
+        const fields = { name: asset.name.toLowerCase(), description: description.toLowerCase(), body: body.toLowerCase() };
+
+        let score = 0;
+        const matched = new Set();
+        const allFound = terms.every(term => {
+            let found = false;
+            for (const [field, text] of Object.entries(fields)) {
+                const hits = countHits(text, term);
+                if (hits === 0) continue;
+                found = true;
+                matched.add(field);
+                score += WEIGHTS[field] * (field === 'body' ? Math.min(hits, MAX_BODY_HITS) : 1);
+            }
+            return found;
+        });
+        if (!allFound) continue;
+
+        // An exact name beats one that merely contains the query
+        if (fields.name === terms.join('-') || fields.name === terms.join(' ')) score += WEIGHTS.name;
+
+        results.push({
+            name: asset.name,
+            description,
+            tools: asset.tools,
+            score,
+            matched: [...matched],
+            excerpt: matched.has('body') ? findExcerpt(body, terms) : null
+        });
+    }
+
+    return results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
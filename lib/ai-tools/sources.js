@@ -0,0 +1,236 @@
+/**
+ * Sources - skills from outside the npm package
+ * A source is a git URL (https, ssh, file://, or a path ending in .git), a local
+ * directory, or a .tar.gz/.tgz/.zip archive such as the ones package_skill.py
+ * writes. Each is cloned, copied or unpacked into a cache directory, then its
+ * skills are installed through installAsset like the bundled ones.
+ */
+
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+import { CONFIG_DIR } from '../profile.js';
+import { getAssetType } from './registry.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { describeAsset } from './installer.js';
+
+const execFileAsync = promisify(execFile);
+
+export const CACHE_DIR = path.join(CONFIG_DIR, 'cache');
+
+const ARCHIVE_PATTERN = /\.(tar\.gz|tgz|zip)$/i;
+const GIT_URL_PATTERN = /^(https?|git|ssh|file):\/\/|^[\w.-]+@[\w.-]+:/;
+
+// Never searched for skills
+const IGNORED_DIRS = ['.git', 'node_modules', '__pycache__'];
+const MAX_DEPTH = 3;
+
+/**
+ * Whether an install argument names a source rather than a bundled asset
+ * (bundled names never contain a slash, a scheme or an archive extension)
+ */
+export function isSource(spec) {
+    return GIT_URL_PATTERN.test(spec) || ARCHIVE_PATTERN.test(spec)
+        || /[\\/]/.test(spec) || spec.startsWith('.') || spec.startsWith('~');
+}
+
+/**
+ * Expand ~ and resolve against the working directory
+ */
+function resolveLocalPath(spec) {
+    const expanded = spec === '~' || spec.startsWith('~/') ? path.join(homedir(), spec.slice(1)) : spec;
+    return path.resolve(expanded);
+}
+
+/**
+ * Work out what kind of source a spec is
+ * A "#ref" suffix on a git URL picks a branch or tag
+ * @returns {{kind: 'git'|'archive'|'directory', location: string, ref: string|null, remote: boolean, spec: string}}
+ *   spec is the source with local paths made absolute, so it can be fetched again from anywhere
+ */
+export function parseSource(spec) {
+    const isUrl = /^[a-z]+:\/\//i.test(spec) || GIT_URL_PATTERN.test(spec);
+
+    if (ARCHIVE_PATTERN.test(spec)) {
+        const remote = /^https?:\/\//.test(spec);
+        const location = remote ? spec : resolveLocalPath(spec);
+        return { kind: 'archive', location, ref: null, remote, spec: location };
+    }
+
+    if (isUrl || spec.endsWith('.git')) {
+        const [url, ref = null] = spec.split('#');
+        const location = isUrl ? url : resolveLocalPath(url);
+        return { kind: 'git', location, ref, remote: isUrl, spec: ref ? `${location}#${ref}` : location };
+    }
+
+    const location = resolveLocalPath(spec);
+    return { kind: 'directory', location, ref: null, remote: false, spec: location };
+}
+
+/**
+ * Cache directory for a source, stable across runs
+ */
+function cacheDirFor(source) {
+    const key = `${source.kind}:${source.location}#${source.ref || ''}`;
+    return path.join(CACHE_DIR, `${source.kind}-${createHash('sha256').update(key).digest('hex').slice(0, 12)}`);
+}
+
+/**
+ * Run git, turning a failure into an Error with git's own message
+ */
+async function git(args, options = {}) {
+    try {
+        const { stdout } = await execFileAsync('git', args, { timeout: 120000, ...options });
+        return stdout.trim();
+    } catch (error) {
+        const detail = error.stderr?.trim().split('\n').pop() || error.message;
+        throw new Error(error.code === 'ENOENT' ? 'git is not installed' : detail);
+    }
+}
+
+/**
+ * Clone a repository into the cache, or bring an earlier clone up to date
+ */
+async function fetchGit(source, dir) {
+    const target = source.ref || 'HEAD';
+    try {
+        await fs.access(path.join(dir, '.git'));
+        await git(['-C', dir, 'fetch', '--depth', '1', 'origin', target]);
+        await git(['-C', dir, 'reset', '--hard', 'FETCH_HEAD']);
+    } catch {
+        await fs.rm(dir, { recursive: true, force: true });
+        const branch = source.ref ? ['--branch', source.ref] : [];
+        await git(['clone', '--depth', '1', ...branch, '--', source.location, dir]);
+    }
+    return git(['-C', dir, 'rev-parse', 'HEAD']);
+}
+
+/**
+ * Unpack an archive (downloading it first when it is a URL) into dir
+ */
+async function fetchArchive(source, dir) {
+    let file = source.location;
+    if (source.remote) {
+        const response = await fetch(source.location);
+        if (!response.ok) {
+            throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+        }
+        file = `${dir}.download${source.location.match(ARCHIVE_PATTERN)[0]}`;
+        await fs.writeFile(file, Buffer.from(await response.arrayBuffer()));
+    } else {
+        await fs.access(file);
+    }
+
+    try {
+        await fs.mkdir(dir, { recursive: true });
+        if (/\.zip$/i.test(file)) {
+            // unzip where available; bsdtar (macOS, Windows) reads zip files too
+            await execFileAsync('unzip', ['-q', '-o', file, '-d', dir]).catch(() =>
+                execFileAsync('tar', ['-xf', file, '-C', dir]));
+        } else {
+            await execFileAsync('tar', ['-xzf', file, '-C', dir]);
+        }
+    } catch (error) {
+        throw new Error(`Could not unpack ${file}: ${error.stderr?.trim() || error.message}`);
+    } finally {
+        if (source.remote) await fs.rm(file, { force: true });
+    }
+    return null;
+}
+
+/**
+ * Copy a local directory into dir, leaving out version control and dependencies
+ */
+async function fetchDirectory(source, dir) {
+    const stat = await fs.stat(source.location).catch(() => null);
+    if (!stat?.isDirectory()) {
+        throw new Error(`Not a directory: ${source.location}`);
+    }
+    await fs.cp(source.location, dir, {
+        recursive: true,
+        filter: src => !IGNORED_DIRS.includes(path.basename(src))
+    });
+    return null;
+}
+
+const FETCHERS = { git: fetchGit, archive: fetchArchive, directory: fetchDirectory };
+
+/**
+ * Bring a source into the cache
+ * Archives and directories are unpacked/copied afresh every time
+ * @param {string} spec - As given on the command line, or recorded in the manifest
+ * @returns {Promise<{spec: string, kind: string, location: string, ref: string|null, dir: string, revision: string|null}>}
+ */
+export async function fetchSource(spec) {
+    const source = parseSource(spec);
+    const dir = cacheDirFor(source);
+
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    if (source.kind !== 'git') {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    const revision = await FETCHERS[source.kind](source, dir);
+    return { ...source, dir, revision };
+}
+
+/**
+ * Directories holding the marker file, from the source root down a few levels
+ * A folder that is itself a skill isn't searched further
+ */
+export async function findAssetDirs(dir, markerFile, depth = 0) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    if (entries.some(entry => entry.isFile() && entry.name === markerFile)) {
+        return [dir];
+    }
+    if (depth >= MAX_DEPTH) return [];
+
+    const found = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory() || IGNORED_DIRS.includes(entry.name)) continue;
+        found.push(...await findAssetDirs(path.join(dir, entry.name), markerFile, depth + 1));
+    }
+    return found;
+}
+
+/**
+ * Assets a fetched source provides, in the shape getAvailableAssets returns
+ * Names come from the frontmatter "name", falling back to the folder name
+ * @param {Object} fetched - From fetchSource
+ * @param {string} assetType
+ * @param {string} toolId - For tool overrides shipped with the asset
+ * @returns {Promise<Array<{name: string, description: string, fullDescription: string, path: string, overrides: string|null, markerPath: string, source: string, version: string|null}>>}
+ */
+export async function getSourceAssets(fetched, assetType, toolId) {
+    const { source } = getAssetType(assetType);
+    if (source.layout !== 'directory') {
+        throw new Error('Only skills can be installed from a source');
+    }
+
+    const assets = [];
+    for (const assetPath of await findAssetDirs(fetched.dir, source.markerFile)) {
+        const overridesPath = path.join(assetPath, 'overrides', toolId);
+        const overrides = await fs.access(overridesPath).then(() => overridesPath, () => null);
+        const overridden = overrides && await fs.access(path.join(overrides, source.markerFile)).then(() => true, () => false);
+        const markerPath = path.join(overridden ? overrides : assetPath, source.markerFile);
+
+        const content = await fs.readFile(markerPath, 'utf-8');
+        const { data } = parseFrontmatter(content);
+        const fallback = assetPath === fetched.dir ? path.basename(fetched.location).replace(/\.git$|\.(tar\.gz|tgz|zip)$/i, '') : path.basename(assetPath);
+
+        assets.push({
+            name: typeof data.name === 'string' && data.name ? data.name : fallback,
+            description: describeAsset(content),
+            fullDescription: describeAsset(content, 'description', Infinity),
+            path: assetPath,
+            overrides,
+            markerPath,
+            source: fetched.spec,
+            version: data.version || fetched.revision?.slice(0, 7) || null
+        });
+    }
+    return assets;
+}
@@ -0,0 +1,51 @@
+/**
+ * Summary - one table of what an install to several tools did, per tool and location
+ */
+
+import chalk from 'chalk';
+import { getTool } from './registry.js';
+
+/**
+ * Group install outcomes into table rows
+ * @param {Array<{tool: string, location: string, asset: string, status: 'installed'|'linked'|'skipped'|'failed'}>} results
+ * @returns {Array<{tool: string, location: string, installed: string[], skipped: string[], failed: string[]}>}
+ */
+export function summarizeResults(results) {
+    const rows = [];
+    for (const { tool, location, asset, status } of results) {
+        let row = rows.find(existing => existing.tool === tool && existing.location === location);
+        if (!row) {
+            row = { tool, location, installed: [], skipped: [], failed: [] };
+            rows.push(row);
+        }
+        const column = status === 'linked' ? 'installed' : status;
+        row[column].push(status === 'linked' ? `${asset} (linked)` : asset);
+    }
+    return rows;
+}
+
+/**
+ * Print the summary table
+ * @param {Array} results - As for summarizeResults
+ */
+export function printSummary(results) {
+    const rows = summarizeResults(results).map(row => [
+        getTool(row.tool)?.name || row.tool,
+        row.location,
+        row.installed.join(', ') || '-',
+        row.skipped.join(', ') || '-',
+        row.failed.join(', ') || '-'
+    ]);
+    const header = ['Tool', 'Location', 'Installed', 'Skipped', 'Failed'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const colors = [chalk.cyan, chalk.dim, chalk.green, chalk.yellow, chalk.red];
+
+    console.log(`  ${header.map((title, column) => chalk.bold(column === header.length - 1 ? title : title.padEnd(widths[column]))).join('  ')}`);
+    for (const row of rows) {
+        const cells = row.map((cell, column) => {
+            const padded = column === row.length - 1 ? cell : cell.padEnd(widths[column]);
+            return cell === '-' ? chalk.dim(padded) : colors[column](padded);
+        });
+        console.log(`  ${cells.join('  ')}`);
+    }
+}
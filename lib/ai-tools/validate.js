@@ -0,0 +1,76 @@
+/**
+ * Validate - the rules of skill-creator/scripts/quick_validate.py, in JavaScript
+ * A skill needs a SKILL.md with YAML frontmatter holding a description; an
+ * optional name must be hyphen-case, only known keys are allowed, and
+ * "requires" must list bins and python modules (see requirements.js)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+import { parseRequirements } from './requirements.js';
+
+const MARKER_FILE = 'SKILL.md';
+
+// Keep in sync with ALLOWED_KEYS in quick_validate.py
+export const ALLOWED_KEYS = ['name', 'description', 'license', 'allowed-tools', 'metadata', 'version', 'requires'];
+
+/**
+ * Check the content of a SKILL.md
+ * @param {string} content
+ * @returns {string[]} Problems, empty when the skill is valid
+ */
+export function validateSkillContent(content) {
+    const { data, hasFrontmatter, closed } = parseFrontmatter(content);
+    if (!content.startsWith('---')) {
+        return ['No YAML frontmatter found'];
+    }
+    if (!hasFrontmatter || !closed) {
+        return ['Invalid frontmatter format'];
+    }
+
+    const errors = [];
+
+    const unknown = Object.keys(data).filter(key => !ALLOWED_KEYS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`Unexpected key(s) in frontmatter: ${unknown.join(', ')} (allowed: ${ALLOWED_KEYS.join(', ')})`);
+    }
+
+    if (!Object.hasOwn(data, 'description')) {
+        errors.push("Missing 'description' in frontmatter");
+    } else if (typeof data.description !== 'string' || !data.description.trim()) {
+        errors.push("'description' must be non-empty text");
+    } else if (/[<>]/.test(data.description)) {
+        errors.push('Description cannot contain angle brackets (< or >)');
+    }
+
+    if (Object.hasOwn(data, 'name')) {
+        const name = String(data.name);
+        if (!/^[a-z0-9-]+$/.test(name)) {
+            errors.push(`Name '${name}' should be hyphen-case (lowercase letters, digits, and hyphens only)`);
+        } else if (name.startsWith('-') || name.endsWith('-') || name.includes('--')) {
+            errors.push(`Name '${name}' cannot start/end with hyphen or contain consecutive hyphens`);
+        }
+    }
+
+    errors.push(...parseRequirements(data.requires).errors);
+
+    return errors;
+}
+
+/**
+ * Check a skill folder
+ * @param {string} dir - Folder holding SKILL.md
+ * @returns {Promise<{valid: boolean, errors: string[]}>}
+ */
+export async function validateSkill(dir) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(dir, MARKER_FILE), 'utf-8');
+    } catch {
+        return { valid: false, errors: [`${MARKER_FILE} not found`] };
+    }
+
+    const errors = validateSkillContent(content);
+    return { valid: errors.length === 0, errors };
+}
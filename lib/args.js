@@ -0,0 +1,92 @@
+/**
+ * Command-line argument parsing for non-interactive subcommands
+ */
+
+/**
+ * Process exit codes used by subcommands
+ */
+export const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    CONFLICT: 3
+};
+
+/**
+ * Convert a kebab-case option name to camelCase (push-alias → pushAlias)
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Parse argv against an option spec
+ * @param {string[]} argv - Arguments after the subcommand
+ * @param {Object} spec
+ * @param {string[]} [spec.boolean] - Flags that take no value
+ * @param {string[]} [spec.string] - Options that take a single value
+ * @param {string[]} [spec.multiple] - Options that may repeat, collected into an array
+ * @param {Object<string, string>} [spec.alias] - Short name → long name
+ * @returns {{positionals: string[], flags: Object, error?: string}}
+ */
+export function parseArgs(argv, { boolean = [], string = [], multiple = [], alias = {} } = {}) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name = arg.replace(/^--?/, '');
+        let value;
+        const eqIndex = name.indexOf('=');
+        if (eqIndex !== -1) {
+            value = name.slice(eqIndex + 1);
+            name = name.slice(0, eqIndex);
+        }
+        name = alias[name] || name;
+        const key = toCamelCase(name);
+
+        if (boolean.includes(name)) {
+            flags[key] = value === undefined ? true : value !== 'false';
+            continue;
+        }
+
+        if (string.includes(name) || multiple.includes(name)) {
+            if (value === undefined) {
+                value = argv[i + 1];
+                if (value === undefined || value.startsWith('--')) {
+                    return { positionals, flags, error: `Option --${name} requires a value` };
+                }
+                i++;
+            }
+            if (multiple.includes(name)) {
+                flags[key] = [...(flags[key] || []), value];
+            } else {
+                flags[key] = value;
+            }
+            continue;
+        }
+
+        return { positionals, flags, error: `Unknown option: ${arg}` };
+    }
+
+    return { positionals, flags };
+}
+
+/**
+ * Whether it is safe to show interactive prompts
+ * Never true when stdin is not a TTY (scripts, CI, devcontainer provisioning)
+ */
+export function canPrompt(flags = {}) {
+    return Boolean(process.stdin.isTTY) && !flags.yes;
+}
@@ -0,0 +1,180 @@
+/**
+ * Backups - snapshots of every file quick-alias is about to change
+ * Each backup is a directory under ~/.config/quick-alias/backups holding a
+ * manifest and a copy of each file as it was before the operation
+ */
+
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+
+export const BACKUP_DIR = path.join(homedir(), '.config', 'quick-alias', 'backups');
+
+// <profile>.backup.<epoch> files written next to the profile by older versions
+const LEGACY_PATTERN = /^(.+)\.backup\.(\d+)$/;
+
+/**
+ * Sortable backup ID from a date, e.g. 20261019-173817-574
+ */
+function formatId(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+/**
+ * Check whether a path exists
+ */
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Snapshot files before they are modified
+ * Files that don't exist yet are recorded too, so a restore removes them again
+ * @param {string[]} files
+ * @param {Object} [options]
+ * @param {string} [options.operation] - What is about to happen, shown by `backups list`
+ * @returns {Promise<string>} Backup ID
+ */
+export async function createBackup(files, { operation = 'update' } = {}) {
+    const created = new Date();
+    let id = formatId(created);
+    for (let n = 2; await exists(path.join(BACKUP_DIR, id)); n++) {
+        id = `${formatId(created)}-${n}`;
+    }
+
+    const dir = path.join(BACKUP_DIR, id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const entries = [];
+    for (const [index, file] of [...new Set(files)].entries()) {
+        const copy = `${index}-${path.basename(file)}`;
+        try {
+            await fs.copyFile(file, path.join(dir, copy));
+            entries.push({ path: file, copy, existed: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            entries.push({ path: file, copy: null, existed: false });
+        }
+    }
+
+    const manifest = { id, created: created.toISOString(), operation, files: entries };
+    await fs.writeFile(path.join(dir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+    return id;
+}
+
+/**
+ * Backups left next to profiles by older versions, one entry per file
+ */
+async function findLegacyBackups(dirs) {
+    const backups = [];
+    for (const dir of new Set(dirs)) {
+        let names;
+        try {
+            names = await fs.readdir(dir);
+        } catch {
+            continue;
+        }
+
+        for (const name of names) {
+            const match = name.match(LEGACY_PATTERN);
+            if (!match) continue;
+
+            const [, original, epoch] = match;
+            backups.push({
+                id: `legacy-${epoch}-${original}`,
+                created: new Date(Number(epoch)).toISOString(),
+                operation: 'backup by an older version',
+                legacy: true,
+                files: [{ path: path.join(dir, original), copy: path.join(dir, name), existed: true }]
+            });
+        }
+    }
+    return backups;
+}
+
+/**
+ * Read one backup written by createBackup
+ * @param {string} id
+ * @returns {Promise<Object|null>} null when there is no such (complete) backup
+ */
+export async function getBackup(id) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(BACKUP_DIR, id, 'manifest.json'), 'utf-8'));
+        return {
+            ...manifest,
+            legacy: false,
+            files: manifest.files.map(file => ({
+                ...file,
+                copy: file.copy && path.join(BACKUP_DIR, id, file.copy)
+            }))
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * All backups, newest first
+ * @param {Object} [options]
+ * @param {string[]} [options.legacyDirs] - Directories to search for old <profile>.backup.<epoch> files
+ * @returns {Promise<Array<{id: string, created: string, operation: string, legacy: boolean, files: Array}>>}
+ */
+export async function listBackups({ legacyDirs = [] } = {}) {
+    const backups = [];
+
+    let ids = [];
+    try {
+        ids = await fs.readdir(BACKUP_DIR);
+    } catch {
+        // No backups yet
+    }
+
+    for (const id of ids) {
+        const backup = await getBackup(id);
+        if (backup) backups.push(backup);
+    }
+
+    backups.push(...await findLegacyBackups(legacyDirs));
+    return backups.sort((a, b) => b.created.localeCompare(a.created) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Changes that put every file of a backup back the way it was
+ * Files that did not exist before the backed-up operation are deleted
+ * @param {Object} backup - Entry from listBackups
+ * @returns {Promise<Array<{file: string, before: string, after: string|null}>>}
+ */
+export async function planRestore(backup) {
+    const changes = [];
+    for (const file of backup.files) {
+        let before = '';
+        try {
+            before = await fs.readFile(file.path, 'utf-8');
+        } catch {
+            if (!file.existed) continue;
+        }
+
+        const after = file.existed ? await fs.readFile(file.copy, 'utf-8') : null;
+        if (after !== before) changes.push({ file: file.path, before, after });
+    }
+    return changes;
+}
+
+/**
+ * Delete backups
+ * @param {Array} backups - Entries from listBackups
+ */
+export async function deleteBackups(backups) {
+    for (const backup of backups) {
+        if (backup.legacy) {
+            await fs.rm(backup.files[0].copy, { force: true });
+        } else {
+            await fs.rm(path.join(BACKUP_DIR, backup.id), { recursive: true, force: true });
+        }
+    }
+}
@@ -0,0 +1,384 @@
+/**
+ * Managed blocks - locate everything quick-alias has written into a shell profile
+ */
+
+import { createHash } from 'crypto';
+
+const RULE_PATTERN = /^# ━+\s*$/;
+const GIT_BANNER_PATTERN = /^# AI Git Aliases - Added by /;
+const RELOAD_BANNER_PATTERN = /^# Shell Reload Alias - Added by /;
+const GIT_FUNCTION_COMMENT_PATTERN = /^# (Git (Push|Commit) with AI .*|Provider: .*)$/;
+const FUNCTION_START_PATTERN = /^([\w.:-]+)\s*\(\s*\)\s*\{\s*$/;
+const FUNCTION_END_PATTERN = /^\}\s*$/;
+const ALIAS_PATTERN = /^alias\s+([\w.:-]+)=/;
+const META_PATTERN = /^# (Provider|CLI|Model|Aliases|Generated|Version|Checksum): (.*)$/;
+const BEGIN_PATTERN = /^# >>> quick-alias:([\w-]+) >>>\s*$/;
+
+// Written by versions before ID-tagged blocks; still recognised so they can be replaced
+const PNPM_BEGIN_MARKER = '# >>> pnpm-dev-aliases >>>';
+const PNPM_END_MARKER = '# <<< pnpm-dev-aliases <<<';
+
+/**
+ * Begin marker for a managed block
+ */
+export function beginMarker(id) {
+    return `# >>> quick-alias:${id} >>>`;
+}
+
+/**
+ * End marker for a managed block
+ */
+export function endMarker(id) {
+    return `# <<< quick-alias:${id} <<<`;
+}
+
+/**
+ * Short content hash used to detect hand edits to a generated block
+ */
+export function checksum(text) {
+    return createHash('sha256').update(text.trim()).digest('hex').slice(0, 12);
+}
+
+/**
+ * Read a metadata comment line into the meta object
+ * "# Provider: Claude Code | Model: haiku" sets both provider and model
+ * @returns {boolean} Whether the line was a metadata line
+ */
+function readMetaLine(line, meta) {
+    const match = line.match(META_PATTERN);
+    if (!match) return false;
+
+    const [, key, value] = match;
+    if (key === 'Provider') {
+        const [provider, model] = value.split(/\s*\|\s*Model:\s*/);
+        meta.provider = provider.trim();
+        meta.model = model ? model.trim() : null;
+    } else {
+        meta[key.toLowerCase()] = value.trim();
+    }
+    return true;
+}
+
+/**
+ * Parse the banner header that precedes git and reload blocks
+ * @returns {{start: number, bodyStart: number, meta: Object}}
+ */
+function parseBanner(lines, bannerIndex) {
+    const start = bannerIndex > 0 && RULE_PATTERN.test(lines[bannerIndex - 1])
+        ? bannerIndex - 1
+        : bannerIndex;
+    const meta = {};
+
+    let i = bannerIndex + 1;
+    while (i < lines.length && readMetaLine(lines[i], meta)) i++;
+    if (i < lines.length && RULE_PATTERN.test(lines[i])) i++;
+
+    return { start, bodyStart: i, meta };
+}
+
+/**
+ * Parse an AI git aliases block: banner followed by up to two generated functions
+ */
+function parseGitBlock(lines, bannerIndex) {
+    const { start, bodyStart, meta } = parseBanner(lines, bannerIndex);
+    const aliases = [];
+    let end = bodyStart;
+
+    while (aliases.length < 2) {
+        let i = end;
+        while (i < lines.length && lines[i].trim() === '') i++;
+        const commentStart = i;
+        while (i < lines.length && GIT_FUNCTION_COMMENT_PATTERN.test(lines[i])) i++;
+
+        const match = i < lines.length && lines[i].match(FUNCTION_START_PATTERN);
+        if (!match) {
+            // Leftover function comments from a previous overwrite belong to this block
+            if (i > commentStart) {
+                end = i;
+                continue;
+            }
+            break;
+        }
+
+        let j = i + 1;
+        while (j < lines.length && !FUNCTION_END_PATTERN.test(lines[j])) j++;
+        if (j >= lines.length) break;
+
+        aliases.push(match[1]);
+        end = j + 1;
+    }
+
+    return { feature: 'git', start, end, bodyStart, aliases, meta };
+}
+
+/**
+ * Parse a shell reload block: banner followed by a single alias line
+ */
+function parseReloadBlock(lines, bannerIndex) {
+    const { start, bodyStart, meta } = parseBanner(lines, bannerIndex);
+    const aliases = [];
+    let end = bodyStart;
+
+    const match = bodyStart < lines.length && lines[bodyStart].match(ALIAS_PATTERN);
+    if (match) {
+        aliases.push(match[1]);
+        end = bodyStart + 1;
+    }
+
+    return { feature: 'reload', start, end, bodyStart, aliases, meta };
+}
+
+/**
+ * Parse an ID-tagged block: begin marker, title, metadata, body, end marker
+ */
+function parseTaggedBlock(lines, beginIndex, id) {
+    const meta = {};
+    let bodyStart = beginIndex + 1;
+
+    // Title line, e.g. "# AI Git Aliases - managed by @khanglvm/quick-alias"
+    if (bodyStart < lines.length && lines[bodyStart].startsWith('# ') && !META_PATTERN.test(lines[bodyStart])) {
+        meta.title = lines[bodyStart].slice(2).trim();
+        bodyStart++;
+    }
+    while (bodyStart < lines.length && readMetaLine(lines[bodyStart], meta)) bodyStart++;
+
+    let endIndex = bodyStart;
+    while (endIndex < lines.length && lines[endIndex].trim() !== endMarker(id)) endIndex++;
+
+    const aliases = meta.aliases ? meta.aliases.split(',').map(a => a.trim()).filter(Boolean) : [];
+
+    return {
+        feature: id,
+        start: beginIndex,
+        end: Math.min(endIndex + 1, lines.length),
+        bodyStart,
+        bodyEnd: endIndex,
+        aliases,
+        meta,
+        tagged: true,
+        unterminated: endIndex >= lines.length
+    };
+}
+
+/**
+ * Parse a marker-delimited pnpm block (pre ID-tag format)
+ */
+function parsePnpmBlock(lines, beginIndex) {
+    const meta = {};
+    let bodyStart = beginIndex + 1;
+    while (bodyStart < lines.length && readMetaLine(lines[bodyStart], meta)) bodyStart++;
+
+    let endIndex = bodyStart;
+    while (endIndex < lines.length && lines[endIndex].trim() !== PNPM_END_MARKER) endIndex++;
+
+    const aliases = [];
+    for (let i = bodyStart; i < endIndex; i++) {
+        const match = lines[i].match(ALIAS_PATTERN);
+        if (match) aliases.push(match[1]);
+    }
+
+    return {
+        feature: 'pnpm',
+        start: beginIndex,
+        end: Math.min(endIndex + 1, lines.length),
+        bodyStart,
+        bodyEnd: endIndex,
+        aliases,
+        meta,
+        unterminated: endIndex >= lines.length
+    };
+}
+
+/**
+ * Find every block quick-alias generated in a profile
+ * @param {string} content - Profile file content
+ * @returns {Array<{feature: string, start: number, end: number,
+ *   aliases: string[], meta: Object, body: string, text: string,
+ *   legacy: boolean, orphaned: boolean, modified: boolean|null}>}
+ *   start/end are line indexes (end exclusive); legacy blocks use the old
+ *   banner format; modified is null when the block predates checksums
+ */
+export function parseManagedBlocks(content) {
+    const lines = content.split('\n');
+    const blocks = [];
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        let block = null;
+
+        const beginMatch = line.match(BEGIN_PATTERN);
+
+        if (beginMatch) {
+            block = parseTaggedBlock(lines, i, beginMatch[1]);
+        } else if (GIT_BANNER_PATTERN.test(line)) {
+            block = parseGitBlock(lines, i);
+        } else if (RELOAD_BANNER_PATTERN.test(line)) {
+            block = parseReloadBlock(lines, i);
+        } else if (line.trim() === PNPM_BEGIN_MARKER) {
+            block = parsePnpmBlock(lines, i);
+        }
+
+        if (!block) {
+            i++;
+            continue;
+        }
+
+        const body = lines.slice(block.bodyStart, block.bodyEnd ?? block.end).join('\n');
+        blocks.push({
+            feature: block.feature,
+            start: block.start,
+            end: block.end,
+            aliases: block.aliases,
+            meta: block.meta,
+            body,
+            text: lines.slice(block.start, block.end).join('\n'),
+            legacy: !block.tagged,
+            orphaned: !block.tagged && block.aliases.length === 0,
+            unterminated: Boolean(block.unterminated),
+            modified: block.meta.checksum && (block.tagged || block.aliases.length > 0)
+                ? checksum(body) !== block.meta.checksum
+                : null
+        });
+        i = Math.max(block.end, i + 1);
+    }
+
+    return blocks;
+}
+
+/**
+ * Escape a name for use inside a RegExp
+ */
+export function escapeRegExp(name) {
+    return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Count how many times a name is defined as an alias or function in a profile
+ */
+export function countDefinitions(content, name) {
+    const escaped = escapeRegExp(name);
+    const pattern = new RegExp(
+        `^\\s*(alias\\s+${escaped}[=\\s]|${escaped}\\s*\\(\\s*\\)\\s*\\{|function\\s+${escaped}\\b)`,
+        'gm'
+    );
+    return (content.match(pattern) || []).length;
+}
+
+/**
+ * Render an ID-tagged managed block
+ * @param {string} id - Block ID, e.g. 'git', 'reload', 'pnpm'
+ * @param {Object} options
+ * @param {string} options.title - Human readable title line
+ * @param {Object<string, string>} [options.meta] - Metadata lines, in order (null values skipped)
+ * @param {string} options.body - Generated shell code
+ * @returns {string}
+ */
+export function renderBlock(id, { title, meta = {}, body }) {
+    const metaLines = Object.entries(meta)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `# ${key}: ${value}`);
+
+    return [
+        beginMarker(id),
+        `# ${title}`,
+        ...metaLines,
+        `# Checksum: ${checksum(body)}`,
+        body.trim(),
+        endMarker(id)
+    ].join('\n');
+}
+
+/**
+ * Whether two renderings of a block differ at most in their Generated timestamp
+ * Reinstalling a feature with the same settings then leaves the file untouched
+ */
+export function isSameBlock(a, b) {
+    const strip = text => text.trim().split('\n').filter(line => !line.startsWith('# Generated: ')).join('\n');
+    return strip(a) === strip(b);
+}
+
+/**
+ * Remove blocks from content and optionally put a replacement where the first one was
+ * Each removed block also takes one blank separator line with it: the one the
+ * installers add before it, or the one after it at the top of the file. Every
+ * other line outside the blocks is kept byte for byte
+ */
+function spliceBlocks(content, blocks, replacement = null) {
+    if (blocks.length === 0) return content;
+
+    const lines = content.split('\n');
+    const sorted = [...blocks].sort((a, b) => a.start - b.start);
+    const output = [];
+    let cursor = 0;
+
+    sorted.forEach((block, index) => {
+        const kept = lines.slice(cursor, block.start);
+        const replacing = index === 0 && replacement !== null;
+        cursor = block.end;
+
+        if (!replacing) {
+            if (kept.length > 0 && kept[kept.length - 1] === '') {
+                kept.pop();
+            } else if (output.length === 0 && kept.length === 0 && lines[cursor] === '' && cursor < lines.length - 1) {
+                cursor++;
+            }
+        }
+        output.push(...kept);
+        if (replacing) output.push(...replacement.split('\n'));
+    });
+    output.push(...lines.slice(cursor));
+
+    return output.join('\n');
+}
+
+/**
+ * Remove blocks (as returned by parseManagedBlocks) from profile content
+ */
+export function removeBlocks(content, blocks) {
+    return spliceBlocks(content, blocks);
+}
+
+/**
+ * Profile content outside the managed blocks, as removing all of them leaves it
+ * Installing, upgrading or removing a block must not change it; a missing final
+ * newline doesn't count, since appending a block adds one
+ */
+export function unmanagedContent(content) {
+    const rest = removeBlocks(content, parseManagedBlocks(content));
+    return rest && !rest.endsWith('\n') ? `${rest}\n` : rest;
+}
+
+/**
+ * Insert or replace the block for a feature
+ * An existing block (tagged or legacy) is replaced in place and any duplicates
+ * are removed; otherwise the block is appended. An identical block is kept as is
+ * @param {string} content - Current profile content
+ * @param {string} id - Feature/block ID
+ * @param {string} blockText - Output of renderBlock
+ * @returns {string}
+ */
+export function upsertBlock(content, id, blockText) {
+    const existing = parseManagedBlocks(content).filter(block => block.feature === id);
+
+    if (existing.length === 1 && isSameBlock(existing[0].text, blockText)) {
+        return content;
+    }
+
+    if (existing.length > 0) {
+        return spliceBlocks(content, existing, blockText);
+    }
+
+    // One blank separator line, which removing the block takes away again
+    const separator = content === '' ? '' : content.endsWith('\n') ? '\n' : '\n\n';
+    return `${content}${separator}${blockText}\n`;
+}
+
+/**
+ * Names from the list that are defined outside any quick-alias block
+ * These belong to the user and are never removed
+ */
+export function findUnmanagedDefinitions(content, names) {
+    const unmanaged = unmanagedContent(content);
+    return names.filter(name => countDefinitions(unmanaged, name) > 0);
+}
@@ -0,0 +1,168 @@
+/**
+ * quick-alias apply - converge shell profiles to the features declared in a config file
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { getCLIById, getModelsForCLI } from '../detector.js';
+import { getManagedFiles } from '../installer.js';
+import { installFeature } from '../features.js';
+import { uninstallFeatures, UNINSTALL_FEATURES } from '../uninstall.js';
+import { loadConfig, getConfigCandidates } from '../config.js';
+import { resolveTargets } from '../targets.js';
+import { FEATURE_NAMES } from '../status.js';
+import { printChanges } from '../diff.js';
+import { parseArgs, EXIT_CODES } from '../args.js';
+
+/**
+ * Default the git model to the provider's recommended (first) preset, as `quick-alias git` does
+ * @returns {Promise<string|null>} Error message
+ */
+async function resolveGitModel(git) {
+    if (git.model) return null;
+
+    const cli = getCLIById(git.provider);
+    const models = await getModelsForCLI(cli);
+    if (models && models.length > 0) {
+        git.model = models[0].value;
+    } else if (cli.modelFlag) {
+        return `"git.model" is required for ${cli.name}`;
+    }
+    return null;
+}
+
+/**
+ * Profile paths from the config are relative to the config file
+ */
+function resolveConfigProfiles(file, profiles) {
+    return profiles.map(profile =>
+        profile === '~' || profile.startsWith('~/') ? profile : path.resolve(path.dirname(file), profile));
+}
+
+/**
+ * Print one line of the per-profile report
+ */
+function report(symbol, feature, message) {
+    console.log(`  ${symbol} ${(FEATURE_NAMES[feature] || feature).padEnd(20)} ${message}`);
+}
+
+/**
+ * quick-alias apply [--config <path>] [--profile <path>]... [--all-profiles] [--dry-run]
+ */
+export async function runApplyCommand(argv) {
+    const { flags, error } = parseArgs(argv, {
+        boolean: ['all-profiles', 'dry-run'],
+        string: ['config'],
+        multiple: ['profile']
+    });
+    if (error) {
+        console.error(chalk.red(`Error: ${error}`));
+        return EXIT_CODES.USAGE;
+    }
+
+    const loaded = await loadConfig(flags.config);
+    if (!loaded) {
+        const looked = flags.config ? [flags.config] : getConfigCandidates();
+        console.error(chalk.red(`Error: No config file found (looked for ${looked.join(', ')})`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const { file, config, errors } = loaded;
+    if (!config) {
+        console.error(chalk.red(`Error: Invalid config ${file}:`));
+        errors.forEach(message => console.error(chalk.red(`  - ${message}`)));
+        return EXIT_CODES.USAGE;
+    }
+
+    if (config.features.git) {
+        const modelError = await resolveGitModel(config.features.git);
+        if (modelError) {
+            console.error(chalk.red(`Error: Invalid config ${file}:\n  - ${modelError}`));
+            return EXIT_CODES.USAGE;
+        }
+    }
+
+    // --profile/--all-profiles on the command line take precedence over the config
+    const fromFlags = Boolean(flags.profile || flags.allProfiles);
+    const targets = await resolveTargets(fromFlags
+        ? { profiles: flags.profile, all: flags.allProfiles }
+        : { profiles: resolveConfigProfiles(file, config.profiles), all: config.allProfiles });
+
+    const enabled = Object.keys(config.features);
+    const disabled = UNINSTALL_FEATURES.filter(feature => !enabled.includes(feature));
+    // With nothing left, the profile line that sources the init file goes too
+    if (enabled.length === 0) disabled.push('init');
+
+    const dryRun = Boolean(flags.dryRun);
+    let exitCode = EXIT_CODES.OK;
+    let changed = 0;
+
+    console.log('');
+    console.log(chalk.dim(`Applying ${file}`));
+
+    for (const target of targets) {
+        console.log('');
+        console.log(chalk.bold(target.profile));
+
+        // Features dropped from the config
+        for (const managed of await getManagedFiles([target])) {
+            const result = await uninstallFeatures(managed, disabled, {
+                removeIfEmpty: managed !== target.profile,
+                dryRun
+            });
+
+            if (!result.success) {
+                console.error(chalk.red(`  ✗ Failed (${managed}): ${result.error}`));
+                exitCode = EXIT_CODES.FAILURE;
+                continue;
+            }
+
+            for (const block of result.removed) {
+                report(chalk.red('-'), block.feature, chalk.dim(`${dryRun ? 'would remove' : 'removed'} from ${managed}`));
+            }
+            if (result.removed.length > 0) {
+                changed++;
+                if (dryRun) printChanges(result.changes);
+            }
+        }
+
+        // Features declared in the config
+        for (const feature of enabled) {
+            // Existing blocks are replaced: the config is the source of truth
+            const result = await installFeature(feature, config.features[feature], {
+                profile: target.profile,
+                initFile: config.initFile,
+                dryRun
+            });
+
+            if (!result.success) {
+                report(chalk.red('✗'), feature, chalk.red(result.error));
+                exitCode = EXIT_CODES.FAILURE;
+                continue;
+            }
+
+            if (result.changes.length === 0) {
+                report(chalk.green('✓'), feature, chalk.dim('up to date'));
+                continue;
+            }
+
+            changed++;
+            report(chalk.yellow('~'), feature, chalk.dim(dryRun ? `would update ${result.file}` : `updated ${result.file}`));
+            if (dryRun) {
+                printChanges(result.changes);
+            } else if (result.backup) {
+                console.log(chalk.dim(`      Backup: ${result.backup}`));
+            }
+        }
+    }
+
+    console.log('');
+    if (changed === 0) {
+        console.log(chalk.dim('Everything already matches the config.\n'));
+    } else if (dryRun) {
+        console.log(chalk.dim('Dry run: no files were written.\n'));
+    } else {
+        console.log(chalk.dim('Reload your shell or open a new terminal to pick up the changes.\n'));
+    }
+    return exitCode;
+}
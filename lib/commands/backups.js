@@ -0,0 +1,171 @@
+/**
+ * quick-alias backups - list, restore and prune the backups taken before every change
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { listBackups, planRestore, deleteBackups } from '../backups.js';
+import { detectProfiles } from '../targets.js';
+import { applyChanges, CONFIG_DIR, FISH_FUNCTIONS_DIR } from '../profile.js';
+import { printChanges } from '../diff.js';
+import { parseArgs, canPrompt, EXIT_CODES } from '../args.js';
+
+const DEFAULT_KEEP = 10;
+
+/**
+ * Print an error and return the usage exit code
+ */
+function usageError(message) {
+    console.error(chalk.red(`Error: ${message}`));
+    console.error(chalk.dim('Usage: quick-alias backups [list|restore <id>|prune --keep N]'));
+    return EXIT_CODES.USAGE;
+}
+
+/**
+ * Every backup, including <profile>.backup.<epoch> files next to detected profiles
+ */
+async function getBackups() {
+    const profiles = await detectProfiles();
+    const legacyDirs = [...profiles.map(p => path.dirname(p.profile)), CONFIG_DIR, FISH_FUNCTIONS_DIR];
+    return listBackups({ legacyDirs });
+}
+
+/**
+ * Ask before a destructive step; --yes is required when there is no terminal
+ * @returns {Promise<boolean|null>} null when confirmation is impossible
+ */
+async function confirmAction(flags, message) {
+    if (flags.yes) return true;
+    if (!canPrompt(flags)) return null;
+
+    const { confirm } = await inquirer.prompt([
+        { type: 'confirm', name: 'confirm', message, default: false }
+    ]);
+    return confirm;
+}
+
+/**
+ * quick-alias backups list [--json]
+ */
+async function listCommand(flags) {
+    const backups = await getBackups();
+
+    if (flags.json) {
+        console.log(JSON.stringify(backups, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    if (backups.length === 0) {
+        console.log(chalk.dim('  No backups yet.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    for (const backup of backups) {
+        const created = new Date(backup.created).toLocaleString();
+        console.log(`  ${chalk.cyan(backup.id)}  ${chalk.dim(created)}  ${backup.operation}`);
+        for (const file of backup.files) {
+            console.log(chalk.dim(`    ${file.path}${file.existed ? '' : ' (did not exist)'}`));
+        }
+    }
+    console.log('');
+    console.log(chalk.dim(`  Restore with: quick-alias backups restore <id>\n`));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias backups restore <id> [--dry-run] [--yes]
+ */
+async function restoreCommand(id, flags) {
+    if (!id) return usageError('backups restore requires a backup ID');
+
+    const backup = (await getBackups()).find(b => b.id === id);
+    if (!backup) {
+        console.error(chalk.red(`Error: No backup with ID "${id}" (see "quick-alias backups list")`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    const changes = await planRestore(backup);
+    console.log('');
+
+    if (changes.length === 0) {
+        console.log(chalk.dim('  Files already match this backup, nothing to restore.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    printChanges(changes);
+
+    if (flags.dryRun) {
+        console.log(chalk.dim('Dry run: no files were written.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    const confirmed = await confirmAction(flags, `Restore ${changes.length} file(s) from ${id}?`);
+    if (confirmed === null) {
+        console.error(chalk.red('Error: Refusing to restore without --yes when not running interactively'));
+        return EXIT_CODES.USAGE;
+    }
+    if (!confirmed) return EXIT_CODES.OK;
+
+    // The current state is backed up too, so a restore can be undone
+    const undo = await applyChanges(changes, { operation: `restore ${id}`, validate: false });
+    console.log(chalk.green(`✓ Restored ${changes.length} file(s) from ${id}`));
+    console.log(chalk.dim(`  Previous state saved as ${undo}\n`));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias backups prune [--keep N] [--yes]
+ */
+async function pruneCommand(flags) {
+    const keep = flags.keep === undefined ? DEFAULT_KEEP : Number(flags.keep);
+    if (!Number.isInteger(keep) || keep < 0) {
+        return usageError('--keep must be a non-negative integer');
+    }
+
+    const stale = (await getBackups()).slice(keep);
+    console.log('');
+
+    if (stale.length === 0) {
+        console.log(chalk.dim(`  Nothing to prune (keeping the ${keep} most recent).\n`));
+        return EXIT_CODES.OK;
+    }
+
+    console.log(chalk.bold(`Will delete ${stale.length} backup(s):`));
+    for (const backup of stale) {
+        console.log(`  ${chalk.red('-')} ${backup.id} ${chalk.dim(backup.operation)}`);
+    }
+    console.log('');
+
+    const confirmed = await confirmAction(flags, 'Delete these backups?');
+    if (confirmed === null) {
+        console.error(chalk.red('Error: Refusing to delete backups without --yes when not running interactively'));
+        return EXIT_CODES.USAGE;
+    }
+    if (!confirmed) return EXIT_CODES.OK;
+
+    await deleteBackups(stale);
+    console.log(chalk.green(`✓ Deleted ${stale.length} backup(s)\n`));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias backups [list|restore <id>|prune --keep N]
+ */
+export async function runBackupsCommand(argv) {
+    const { positionals, flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'json', 'dry-run'],
+        string: ['keep'],
+        alias: { y: 'yes' }
+    });
+    if (error) return usageError(error);
+
+    const [action = 'list', id] = positionals;
+
+    if (action === 'list') return listCommand(flags);
+    if (action === 'restore') return restoreCommand(id, flags);
+    if (action === 'prune') return pruneCommand(flags);
+
+    return usageError(`Unknown action "${action}"`);
+}
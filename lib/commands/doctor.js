@@ -0,0 +1,69 @@
+/**
+ * quick-alias doctor - re-check the prerequisites installed skills declare
+ * (binaries, minimum versions, Python modules; see ai-tools/requirements.js)
+ */
+
+import chalk from 'chalk';
+import { getTool } from '../ai-tools/registry.js';
+import { checkRequirements, hasRequirements } from '../ai-tools/requirements.js';
+import { readManifest, recordMissing } from '../ai-tools/manifest.js';
+import { parseArgs, EXIT_CODES } from '../args.js';
+
+/**
+ * quick-alias doctor [--workspace|--global] [--json]
+ * Checks both locations by default and stores each result in the manifest;
+ * exits 1 when anything is missing
+ */
+export async function runDoctorCommand(argv) {
+    const { positionals, flags, error } = parseArgs(argv, { boolean: ['json', 'workspace', 'global'] });
+    if (error || positionals.length > 0) {
+        console.error(chalk.red(`Error: ${error || `Unexpected argument: ${positionals[0]}`}`));
+        console.error('Usage: quick-alias doctor [--workspace|--global] [--json]');
+        return EXIT_CODES.USAGE;
+    }
+
+    let locations = ['global', 'workspace'];
+    if (flags.workspace) locations = ['workspace'];
+    if (flags.global) locations = ['global'];
+
+    const reports = [];
+    for (const location of locations) {
+        for (const entry of (await readManifest(location)).assets) {
+            if (!hasRequirements(entry.requires)) continue;
+
+            const checks = await checkRequirements(entry.requires);
+            const missing = checks.filter(check => !check.ok).map(({ requirement, detail }) => ({ requirement, detail }));
+            await recordMissing(location, entry, missing);
+            reports.push({ tool: entry.tool, type: entry.type, name: entry.name, location, ok: missing.length === 0, checks });
+        }
+    }
+
+    const failed = reports.some(report => !report.ok);
+    if (flags.json) {
+        console.log(JSON.stringify(reports, null, 2));
+        return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+
+    console.log('');
+    if (reports.length === 0) {
+        console.log(chalk.dim('No installed skills declare prerequisites.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    for (const report of reports) {
+        const tool = getTool(report.tool)?.name || report.tool;
+        const label = `${report.name} ${chalk.dim(`(${tool}, ${report.location}${report.type === 'skills' ? '' : `, ${report.type}`})`)}`;
+        console.log(report.ok ? chalk.green(`✓ ${label}`) : chalk.red(`✗ ${label}`));
+
+        for (const check of report.checks) {
+            const line = `    ${check.requirement} ${chalk.dim(`- ${check.detail}`)}`;
+            console.log(check.ok ? line : chalk.yellow(line));
+        }
+    }
+
+    console.log('');
+    if (failed) {
+        console.log(chalk.yellow('Install what is missing, then run "quick-alias doctor" again.\n'));
+    }
+    return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
@@ -0,0 +1,351 @@
+/**
+ * Non-interactive setup subcommands: git, reload, pnpm
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { detectCLIs, getCLIById, getModelsForCLI, CLI_INFO } from '../detector.js';
+import { testHeadlessMode } from '../tester.js';
+import { installAliases, getManagedFiles } from '../installer.js';
+import { installReloadAlias } from '../reload.js';
+import { installPnpmAliases } from '../pnpm-aliases.js';
+import { resolveTargets } from '../targets.js';
+import { printChanges } from '../diff.js';
+import { findShellConflicts } from '../conflicts.js';
+import { isValidAliasName } from '../config.js';
+import { parseArgs, canPrompt, EXIT_CODES } from '../args.js';
+
+const CONFLICT_ACTIONS = ['override', 'skip', 'fail'];
+
+/**
+ * Print a usage error and return the usage exit code
+ */
+function usageError(message) {
+    console.error(chalk.red(`Error: ${message}`));
+    console.error(chalk.dim('Run "quick-alias --help" for usage.'));
+    return EXIT_CODES.USAGE;
+}
+
+/**
+ * Decide what to do about an existing alias
+ * Uses --on-conflict when given, prompts only when stdin is a TTY, fails otherwise
+ * @returns {Promise<'override'|'skip'|'fail'>}
+ */
+async function resolveConflict(flags, message) {
+    if (flags.onConflict) return flags.onConflict;
+
+    if (!canPrompt(flags)) return 'fail';
+
+    const { action } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'action',
+            message,
+            choices: [
+                { name: 'Yes, override', value: 'override' },
+                { name: 'No, skip', value: 'skip' }
+            ]
+        }
+    ]);
+    return action;
+}
+
+/**
+ * Validate the --on-conflict value shared by all setup subcommands
+ */
+function validateOnConflict(flags) {
+    if (flags.onConflict && !CONFLICT_ACTIONS.includes(flags.onConflict)) {
+        return `--on-conflict must be one of: ${CONFLICT_ACTIONS.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Validate alias names given on the command line before they reach shell code
+ * @param {Object<string, string>} names - Option → name, e.g. {'--alias': 'rl'}
+ */
+function validateAliasNames(names) {
+    for (const [option, name] of Object.entries(names)) {
+        if (!isValidAliasName(name)) {
+            return `${option} "${name}" is not a valid alias name (letters, digits, _ . : -, starting with a letter or _)`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Profiles selected with --profile (repeatable) or --all-profiles
+ */
+function targetsFromFlags(flags) {
+    return resolveTargets({ profiles: flags.profile, all: flags.allProfiles });
+}
+
+/**
+ * Warn about names the user defined themselves, which quick-alias never removes
+ */
+function warnUnmanaged(result) {
+    if (result.unmanaged && result.unmanaged.length > 0) {
+        console.log(chalk.yellow(`⚠️  Also defined outside quick-alias in ${result.profile}: ${result.unmanaged.join(', ')} (left untouched)`));
+    }
+}
+
+/**
+ * Map a conflict decision to an exit code for the skip/fail cases
+ */
+function conflictExitCode(action, label) {
+    if (action === 'skip') {
+        console.log(chalk.yellow(`Skipped: ${label} already exists`));
+        return EXIT_CODES.OK;
+    }
+    console.error(chalk.red(`Conflict: ${label} already exists (use --on-conflict override)`));
+    return EXIT_CODES.CONFLICT;
+}
+
+/**
+ * Check names against the real interactive shell of every targeted shell
+ * Reports framework aliases, binaries and builtins that the new names would
+ * shadow, with free alternatives; skipped with --skip-shell-check
+ * @returns {Promise<number|null>} Exit code to stop with, or null to go ahead
+ */
+async function checkShellConflicts(targets, names, flags) {
+    if (flags.skipShellCheck) return null;
+
+    for (const shell of new Set(targets.map(target => target.shell))) {
+        const files = await getManagedFiles(targets.filter(target => target.shell === shell));
+        const report = await findShellConflicts(shell, names, { excludeFiles: files });
+
+        if (!report.checked) {
+            console.log(chalk.dim(`Skipped ${shell} conflict check: ${report.error}`));
+            continue;
+        }
+        if (report.conflicts.length === 0) continue;
+
+        console.log(chalk.yellow(`⚠️  Already defined in ${shell}:`));
+        for (const { name, source } of report.conflicts) {
+            const free = report.suggestions[name];
+            console.log(`  ${chalk.cyan(name.padEnd(8))} ${source}` +
+                (free.length > 0 ? chalk.dim(` (free: ${free.join(', ')})`) : ''));
+        }
+
+        const label = report.conflicts.map(conflict => conflict.name).join(', ');
+        const action = await resolveConflict(flags, `Shadow ${label} anyway?`);
+        if (action !== 'override') return conflictExitCode(action, `${label} (${shell})`);
+    }
+
+    return null;
+}
+
+/**
+ * Run an installer against every target profile
+ * Conflicts are resolved per profile; the worst outcome decides the exit code.
+ * With --dry-run the planned changes are printed as a diff instead
+ * @param {Array<{profile: string}>} targets
+ * @param {Object} flags - Parsed command flags
+ * @param {Object} options
+ * @param {(profile: string, overwrite: boolean, dryRun: boolean) => Promise<Object>} options.install
+ * @param {(result: Object) => string} options.describeConflict - Label for the conflicting names
+ * @param {string} options.successMessage
+ * @returns {Promise<number>} Exit code
+ */
+async function installToTargets(targets, flags, { install, describeConflict, successMessage }) {
+    let exitCode = EXIT_CODES.OK;
+
+    for (const { profile } of targets) {
+        let result = await install(profile, false, Boolean(flags.dryRun));
+
+        if (result.conflict) {
+            const label = describeConflict(result);
+            const where = targets.length > 1 ? ` in ${profile}` : '';
+            const action = await resolveConflict(flags, `${label} already exists${where}. Override?`);
+            if (action !== 'override') {
+                exitCode = Math.max(exitCode, conflictExitCode(action, `${label}${where}`));
+                continue;
+            }
+            result = await install(profile, true, Boolean(flags.dryRun));
+        }
+
+        if (!result.success) {
+            console.error(chalk.red(`Failed (${profile}): ${result.error}`));
+            exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+            continue;
+        }
+
+        if (flags.dryRun) {
+            printChanges(result.changes);
+            continue;
+        }
+
+        console.log(chalk.green(`✓ ${successMessage} → ${result.file}`));
+        if (result.backup) console.log(chalk.dim(`  Backup: ${result.backup}`));
+        warnUnmanaged(result);
+    }
+
+    if (flags.dryRun) {
+        console.log(chalk.dim('Dry run: no files were written.'));
+    }
+    return exitCode;
+}
+
+/**
+ * quick-alias git --provider <id> [--model <name>] [--push-alias gp] [--commit-alias gc]
+ *                  [--on-conflict override|skip|fail] [--skip-test] [--skip-shell-check] [--init-file]
+ *                  [--profile <path>]... [--all-profiles] [--dry-run] [--yes]
+ */
+export async function runGitCommand(argv) {
+    const { flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'skip-test', 'skip-shell-check', 'init-file', 'all-profiles', 'dry-run'],
+        string: ['provider', 'model', 'push-alias', 'commit-alias', 'on-conflict'],
+        multiple: ['profile'],
+        alias: { y: 'yes' }
+    });
+    if (error) return usageError(error);
+
+    const conflictError = validateOnConflict(flags);
+    if (conflictError) return usageError(conflictError);
+
+    const gpAlias = flags.pushAlias ?? 'gp';
+    const gcAlias = flags.commitAlias ?? 'gc';
+    const nameError = validateAliasNames({ '--push-alias': gpAlias, '--commit-alias': gcAlias });
+    if (nameError) return usageError(nameError);
+    if (gpAlias === gcAlias) return usageError('--push-alias and --commit-alias must differ');
+
+    // Resolve provider
+    const detectedCLIs = await detectCLIs();
+    let cli;
+
+    if (flags.provider) {
+        if (!getCLIById(flags.provider)) {
+            return usageError(`Unknown provider "${flags.provider}". Available: ${Object.keys(CLI_INFO).join(', ')}`);
+        }
+        cli = detectedCLIs.find(c => c.id === flags.provider);
+        if (!cli) {
+            if (!flags.skipTest) {
+                console.error(chalk.red(`Error: ${getCLIById(flags.provider).name} is not installed`));
+                return EXIT_CODES.FAILURE;
+            }
+            console.log(chalk.yellow(`⚠️  ${getCLIById(flags.provider).name} not detected, installing anyway`));
+            cli = { ...getCLIById(flags.provider) };
+        }
+    } else if (detectedCLIs.length === 0) {
+        console.error(chalk.red('Error: No supported AI CLI tools found'));
+        return EXIT_CODES.FAILURE;
+    } else if (canPrompt(flags)) {
+        const { provider } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'provider',
+                message: 'Choose your AI provider:',
+                choices: detectedCLIs.map(c => ({ name: c.name, value: c.id }))
+            }
+        ]);
+        cli = detectedCLIs.find(c => c.id === provider);
+    } else if (flags.yes) {
+        cli = detectedCLIs[0];
+    } else {
+        return usageError('--provider is required when not running interactively');
+    }
+
+    // Resolve model - default to the recommended (first) preset
+    let model = flags.model || null;
+    if (!model) {
+        const models = await getModelsForCLI(cli);
+        if (models && models.length > 0) {
+            model = models[0].value;
+        } else if (cli.modelFlag) {
+            return usageError(`--model is required for ${cli.name}`);
+        }
+    }
+
+    if (!flags.skipTest) {
+        console.log(chalk.dim(`Testing ${cli.name}...`));
+        const testResult = await testHeadlessMode(cli, model);
+        if (!testResult.success) {
+            console.error(chalk.red(`Test failed: ${testResult.error}`));
+            return EXIT_CODES.FAILURE;
+        }
+    }
+
+    const targets = await targetsFromFlags(flags);
+    const stop = await checkShellConflicts(targets, [gpAlias, gcAlias], flags);
+    if (stop !== null) return stop;
+
+    const initFile = Boolean(flags.initFile);
+    return installToTargets(targets, flags, {
+        install: (profile, overwrite, dryRun) =>
+            installAliases({ gpAlias, gcAlias, cli, model, overwrite, initFile, profile, dryRun }),
+        describeConflict: result => result.existingAliases.join(', '),
+        successMessage: `AI Git Aliases installed (${gpAlias}, ${gcAlias})`
+    });
+}
+
+/**
+ * quick-alias reload [--alias rl] [--on-conflict override|skip|fail] [--skip-shell-check] [--init-file]
+ *                     [--profile <path>]... [--all-profiles] [--dry-run] [--yes]
+ */
+export async function runReloadCommand(argv) {
+    const { flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'skip-shell-check', 'init-file', 'all-profiles', 'dry-run'],
+        string: ['alias', 'on-conflict'],
+        multiple: ['profile'],
+        alias: { y: 'yes' }
+    });
+    if (error) return usageError(error);
+
+    const conflictError = validateOnConflict(flags);
+    if (conflictError) return usageError(conflictError);
+
+    const aliasName = flags.alias ?? 'rl';
+    const nameError = validateAliasNames({ '--alias': aliasName });
+    if (nameError) return usageError(nameError);
+
+    const targets = await targetsFromFlags(flags);
+    const stop = await checkShellConflicts(targets, [aliasName], flags);
+    if (stop !== null) return stop;
+
+    const initFile = Boolean(flags.initFile);
+    return installToTargets(targets, flags, {
+        install: (profile, overwrite, dryRun) => installReloadAlias(aliasName, overwrite, { initFile, profile, dryRun }),
+        describeConflict: () => `Alias "${aliasName}"`,
+        successMessage: `Shell Reload alias installed (${aliasName})`
+    });
+}
+
+/**
+ * quick-alias pnpm [--on-conflict override|skip|fail] [--skip-shell-check] [--init-file]
+ *                   [--profile <path>]... [--all-profiles] [--dry-run] [--yes]
+ */
+export async function runPnpmCommand(argv) {
+    const { flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'skip-shell-check', 'init-file', 'all-profiles', 'dry-run'],
+        string: ['on-conflict'],
+        multiple: ['profile'],
+        alias: { y: 'yes' }
+    });
+    if (error) return usageError(error);
+
+    const conflictError = validateOnConflict(flags);
+    if (conflictError) return usageError(conflictError);
+
+    if (canPrompt(flags) && !flags.dryRun) {
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: 'Install stealth pnpm aliases (di, da, dr)?',
+                default: true
+            }
+        ]);
+        if (!confirm) return EXIT_CODES.OK;
+    }
+
+    const targets = await targetsFromFlags(flags);
+    const stop = await checkShellConflicts(targets, ['di', 'da', 'dr'], flags);
+    if (stop !== null) return stop;
+
+    const initFile = Boolean(flags.initFile);
+    return installToTargets(targets, flags, {
+        install: (profile, overwrite, dryRun) => installPnpmAliases({ overwrite, initFile, profile, dryRun }),
+        describeConflict: () => 'pnpm aliases',
+        successMessage: 'pnpm Dev Aliases installed (di, da, dr)'
+    });
+}
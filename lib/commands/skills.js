@@ -0,0 +1,1003 @@
+/**
+ * quick-alias skills - list, install, update and remove AI assets without the interactive menu
+ * Skills by default; agents and workflows with --type
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { getToolsForAssetType, getTool, getAssetType, ASSET_TYPES } from '../ai-tools/registry.js';
+import { getAvailableAssets, getTargetDir, getAssetPath, detectTool, isAssetInstalled, installAsset, uninstallAsset, isOutdated, describeMissing, renderMainFile, listAssetFiles } from '../ai-tools/installer.js';
+import { printSummary } from '../ai-tools/summary.js';
+import { isSource, fetchSource, getSourceAssets, findAssetDirs } from '../ai-tools/sources.js';
+import { validateSkill } from '../ai-tools/validate.js';
+import { collectAssets, searchAssets } from '../ai-tools/search.js';
+import { parseFrontmatter } from '../ai-tools/frontmatter.js';
+import { parseRequirements, hasRequirements } from '../ai-tools/requirements.js';
+import { createSkill, checkSkillName } from '../ai-tools/scaffold.js';
+import { packSkill } from '../ai-tools/pack.js';
+import { readManifest, getEntry, findLocalChanges, fromKey } from '../ai-tools/manifest.js';
+import { createBackup } from '../backups.js';
+import { parseArgs, canPrompt, EXIT_CODES } from '../args.js';
+
+const CONFLICT_ACTIONS = ['override', 'skip', 'fail'];
+const MODIFIED_ACTIONS = ['discard', 'keep', 'backup'];
+
+/**
+ * Print an error and return the usage exit code
+ */
+function usageError(message) {
+    console.error(chalk.red(`Error: ${message}`));
+    console.error(chalk.dim('Usage: quick-alias skills [list|show <name>|search <query>|install <name|source>... --tool <id>|outdated|update [<name>...]|uninstall <name>...|validate [<path>...]|new <name>|pack <dir>]'));
+    console.error(chalk.dim('                          [--type skills|agents|workflows]'));
+    return EXIT_CODES.USAGE;
+}
+
+/**
+ * Tool IDs that can receive an asset type
+ */
+function toolIds(assetType) {
+    return getToolsForAssetType(assetType).map(tool => tool.id);
+}
+
+/**
+ * Where an asset is installed for a tool
+ * @returns {Promise<Array<'global'|'workspace'>>}
+ */
+async function installedLocations(assetType, toolId, name) {
+    const locations = [];
+    for (const location of ['global', 'workspace']) {
+        if (await isAssetInstalled(toolId, assetType, location, name)) locations.push(location);
+    }
+    return locations;
+}
+
+/**
+ * quick-alias skills list [--type <type>] [--tool <id>] [--json]
+ */
+async function listCommand(assetType, flags) {
+    const tools = flags.tool ? [getTool(flags.tool)] : getToolsForAssetType(assetType);
+
+    const listing = [];
+    for (const tool of tools) {
+        const assets = [];
+        for (const asset of await getAvailableAssets(assetType, tool.id)) {
+            assets.push({ ...asset, installed: await installedLocations(assetType, tool.id, asset.name) });
+        }
+        listing.push({ tool: tool.id, name: tool.name, assets });
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(listing, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    for (const { tool, name, assets } of listing) {
+        console.log(`${chalk.bold(name)} ${chalk.dim(`(--tool ${tool})`)}`);
+        if (assets.length === 0) {
+            console.log(chalk.dim(`  No ${getAssetType(assetType).name.toLowerCase()} available yet.`));
+        }
+        for (const asset of assets) {
+            const installed = asset.installed.length > 0
+                ? chalk.green(` [installed: ${asset.installed.join(', ')}]`)
+                : '';
+            console.log(`  ${chalk.cyan(asset.name)}${installed} ${chalk.dim(`- ${asset.description}`)}`);
+        }
+        console.log('');
+    }
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Human-readable file size
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Lines of a file tree, directories first
+ * @param {Array<{path: string, size: number}>} files - Relative paths with / separators
+ */
+function formatTree(files) {
+    const root = { dirs: new Map(), files: [] };
+    for (const file of files) {
+        const parts = file.path.split('/');
+        let node = root;
+        for (const dir of parts.slice(0, -1)) {
+            if (!node.dirs.has(dir)) node.dirs.set(dir, { dirs: new Map(), files: [] });
+            node = node.dirs.get(dir);
+        }
+        node.files.push({ name: parts[parts.length - 1], size: file.size });
+    }
+
+    const lines = [];
+    const walk = (node, prefix) => {
+        const entries = [...[...node.dirs].map(([name, child]) => ({ name, child })), ...node.files];
+        entries.forEach((entry, index) => {
+            const last = index === entries.length - 1;
+            const label = entry.child ? chalk.bold(`${entry.name}/`) : `${entry.name} ${chalk.dim(formatSize(entry.size))}`;
+            lines.push(`${prefix}${last ? '└── ' : '├── '}${label}`);
+            if (entry.child) walk(entry.child, `${prefix}${last ? '    ' : '│   '}`);
+        });
+    };
+    walk(root, '');
+    return lines;
+}
+
+/**
+ * Print Markdown with headings, frontmatter and code fences set apart
+ */
+function printMarkdown(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    const frontmatterEnd = lines[0].trim() === '---' ? lines.findIndex((line, index) => index > 0 && line.trim() === '---') : -1;
+    let inFence = false;
+
+    lines.forEach((line, index) => {
+        if (index <= frontmatterEnd) return console.log(chalk.dim(line));
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return console.log(chalk.dim(line));
+        }
+        if (inFence) return console.log(chalk.cyan(line));
+        if (/^#{1,6} /.test(line)) return console.log(chalk.bold(line));
+        console.log(line);
+    });
+}
+
+/**
+ * quick-alias skills show <name> [--type <type>] [--tool <id>] [--workspace] [--json]
+ * The full main file as the tool would get it (placeholders filled), the file
+ * tree, total size, scripts and declared prerequisites
+ */
+async function showCommand(assetType, names, flags) {
+    if (names.length !== 1) return usageError('Name one asset to show');
+    const [name] = names;
+    const typeName = getAssetType(assetType).name.toLowerCase();
+
+    const found = (await collectAssets(assetType)).find(asset => asset.name === name && (!flags.tool || asset.tools.includes(flags.tool)));
+    if (!found) {
+        console.error(chalk.red(`Error: No ${typeName.slice(0, -1)} named "${name}"${flags.tool ? ` for ${getTool(flags.tool).name}` : ''} (try "quick-alias skills search ${name}")`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    // Without --tool, show it as the first tool reading it natively gets it
+    const isNative = id => (getTool(id).assets[assetType].format || 'native') === 'native';
+    const toolId = flags.tool || found.tools.find(isNative) || found.tools[0];
+    const tool = getTool(toolId);
+    const location = flags.workspace || !tool.assets[assetType].globalPath ? 'workspace' : 'global';
+
+    const asset = (await getAvailableAssets(assetType, toolId)).find(a => a.name === name);
+    const main = await renderMainFile(assetType, toolId, asset, location);
+    const files = await listAssetFiles(asset);
+    const size = files.reduce((total, file) => total + file.size, 0);
+    const scripts = files.filter(file => file.path.startsWith('scripts/')).map(file => file.path);
+    const { data } = parseFrontmatter(await fs.readFile(asset.markerPath, 'utf-8'));
+    const { requires } = parseRequirements(data.requires);
+
+    if (flags.json) {
+        console.log(JSON.stringify({
+            name,
+            description: asset.fullDescription,
+            version: asset.version,
+            tools: found.tools,
+            tool: toolId,
+            location,
+            files,
+            size,
+            scripts,
+            requires: hasRequirements(requires) ? requires : null,
+            path: main.path,
+            content: main.content
+        }, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    console.log(`${chalk.bold.cyan(name)} ${chalk.dim(asset.version ? `v${asset.version}` : '')}`);
+    console.log(`${chalk.bold('Tools:')}    ${found.tools.map(id => getTool(id).name).join(', ')}`);
+    console.log(`${chalk.bold('Shown as:')} ${tool.name}, ${location} ${chalk.dim('(--tool, --workspace)')}`);
+    if (scripts.length > 0) {
+        console.log(`${chalk.bold('Scripts:')}  ${scripts.join(', ')}`);
+    }
+    if (hasRequirements(requires)) {
+        const listed = [...requires.bins.map(bin => bin.min ? `${bin.name} >=${bin.min}` : bin.name), ...requires.python.map(module => `python module ${module}`)];
+        console.log(`${chalk.bold('Requires:')} ${listed.join(', ')}`);
+    }
+
+    console.log('');
+    console.log(chalk.bold(`Files (${files.length}, ${formatSize(size)}):`));
+    if (getAssetType(assetType).source.layout === 'directory') {
+        console.log(`  ${chalk.bold(`${name}/`)}`);
+        formatTree(files).forEach(line => console.log(`  ${line}`));
+    } else {
+        console.log(`  ${files[0].path} ${chalk.dim(formatSize(files[0].size))}`);
+    }
+
+    console.log('');
+    console.log(chalk.dim(`${'─'.repeat(20)} ${main.path} ${'─'.repeat(20)}`));
+    printMarkdown(main.content.replace(/\n+$/, ''));
+    console.log('');
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias skills search <query> [--type <type>] [--tool <id>] [--json]
+ */
+async function searchCommand(assetType, terms, flags) {
+    const query = terms.join(' ').trim();
+    if (!query) return usageError('Give a search query, e.g. "quick-alias skills search design"');
+
+    const results = await searchAssets(await collectAssets(assetType, flags.tool), query);
+    if (flags.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    if (results.length === 0) {
+        console.log(chalk.dim(`No ${getAssetType(assetType).name.toLowerCase()} match "${query}".\n`));
+        return EXIT_CODES.OK;
+    }
+
+    for (const result of results) {
+        const description = result.description.length > 100 ? `${result.description.slice(0, 100)}...` : result.description;
+        console.log(`${chalk.cyan(result.name)} ${chalk.dim(`- ${description}`)}`);
+        if (result.excerpt) console.log(chalk.dim(`    "${result.excerpt}"`));
+        console.log(chalk.dim(`    ${result.tools.map(id => getTool(id).name).join(', ')}`));
+    }
+    console.log(chalk.dim(`\n${results.length} found. Preview one with "quick-alias skills show <name>".\n`));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Decide what to do about an asset that is already installed
+ * @returns {Promise<'override'|'skip'|'fail'>}
+ */
+async function resolveConflict(flags, name, targetPath) {
+    if (flags.onConflict) return flags.onConflict;
+    if (!canPrompt(flags)) return 'fail';
+
+    const { overwrite } = await inquirer.prompt([
+        { type: 'confirm', name: 'overwrite', message: `${name} already exists at ${targetPath}. Overwrite?`, default: false }
+    ]);
+    return overwrite ? 'override' : 'skip';
+}
+
+/**
+ * Decide whether to install an asset whose prerequisites are missing
+ * Reported before anything is written; --yes or --force installs anyway
+ * @returns {Promise<'install'|'skip'|'fail'>}
+ */
+async function resolveMissing(flags, name, missing) {
+    console.log(chalk.yellow(`⚠️  ${name} needs ${describeMissing(missing)}`));
+    if (flags.yes || flags.force) return 'install';
+    if (!canPrompt(flags)) return 'fail';
+
+    const { install } = await inquirer.prompt([
+        { type: 'confirm', name: 'install', message: `Install ${name} anyway?`, default: false }
+    ]);
+    return install ? 'install' : 'skip';
+}
+
+/**
+ * Resolve install arguments into the assets to install for one tool
+ * Bundled names are looked up in assets/; sources are fetched into the cache
+ * (once per run, through fetched) and contribute all their skills, or those
+ * picked with --skill
+ * @param {Map<string, Promise>} fetched - Sources fetched so far
+ * @returns {Promise<{jobs: Array<{name: string, assets: Array}>, unavailable: string[], error?: string}>}
+ *   unavailable lists bundled names the tool can't have
+ */
+async function planInstall(assetType, names, flags, toolId, fetched) {
+    const typeName = getAssetType(assetType).name.toLowerCase();
+    const available = await getAvailableAssets(assetType, toolId);
+    const jobs = [];
+    const unavailable = [];
+
+    if (flags.all) {
+        names = [...available.map(asset => asset.name), ...names.filter(isSource)];
+    }
+
+    for (const name of names) {
+        if (!isSource(name)) {
+            if (available.some(asset => asset.name === name)) {
+                jobs.push({ name, assets: available });
+            } else {
+                unavailable.push(name);
+            }
+            continue;
+        }
+
+        let assets;
+        try {
+            if (!fetched.has(name)) {
+                console.log(chalk.dim(`Fetching ${name}...`));
+                fetched.set(name, fetchSource(name));
+            }
+            assets = await getSourceAssets(await fetched.get(name), assetType, toolId);
+        } catch (error) {
+            return { jobs, unavailable, error: `Could not read ${name}: ${error.message}` };
+        }
+        if (assets.length === 0) {
+            return { jobs, unavailable, error: `No ${typeName} found in ${name}` };
+        }
+
+        const picked = flags.skill || assets.map(asset => asset.name);
+        const missing = picked.filter(skill => !assets.some(asset => asset.name === skill));
+        if (missing.length > 0) {
+            return { jobs, unavailable, error: `${name} has no ${missing.join(', ')} (found: ${assets.map(asset => asset.name).join(', ')})` };
+        }
+        jobs.push(...picked.map(skill => ({ name: skill, assets })));
+    }
+
+    return { jobs, unavailable };
+}
+
+/**
+ * Tools --tool stands for: the one named, or every detected tool for "all"
+ * @returns {Promise<string[]>}
+ */
+async function resolveTools(assetType, toolFlag) {
+    if (toolFlag !== 'all') return [toolFlag];
+
+    const detected = [];
+    for (const tool of getToolsForAssetType(assetType)) {
+        if (await detectTool(tool.id)) detected.push(tool.id);
+    }
+    return detected;
+}
+
+/**
+ * Whether a tool reads an asset type's files as they are, so they can be linked
+ */
+function canLink(toolId, assetType) {
+    const layout = getTool(toolId).assets[assetType].layout;
+    return !layout || layout === 'directory';
+}
+
+/**
+ * quick-alias skills install <name|source>... --tool <id|all> [--type <type>] [--workspace] [--all]
+ *                             [--skill <name>]... [--link] [--on-conflict override|skip|fail] [--yes|--force]
+ * With --tool all, every detected tool gets the assets and a summary table follows.
+ * Assets missing prerequisites need a confirmation, or --yes/--force when not in a terminal
+ */
+async function installCommand(assetType, names, flags) {
+    const typeName = getAssetType(assetType).name.toLowerCase();
+    if (!flags.tool) {
+        return usageError(`--tool is required (one of: all, ${toolIds(assetType).join(', ')})`);
+    }
+    if (names.length === 0 && !flags.all) {
+        return usageError(`Name the ${typeName} to install, or pass --all`);
+    }
+
+    const allTools = flags.tool === 'all';
+    // Tools without a global location (Cursor, Windsurf, Copilot) only install into
+    // the current directory, and only when --workspace asks for it
+    const hasGlobal = toolId => getTargetDir(toolId, assetType, 'global') !== null;
+    if (!allTools && !flags.workspace && !hasGlobal(flags.tool)) {
+        return usageError(`${flags.tool} has no global location; rerun with --workspace to install into ${process.cwd()}`);
+    }
+
+    const tools = await resolveTools(assetType, flags.tool);
+    if (tools.length === 0) {
+        console.error(chalk.red(`Error: No coding tools detected (supported: ${toolIds(assetType).join(', ')})`));
+        return EXIT_CODES.FAILURE;
+    }
+    if (allTools) {
+        console.log(chalk.dim(`Detected: ${tools.map(toolId => getTool(toolId).name).join(', ')}`));
+    }
+
+    const fetched = new Map();
+    const results = [];
+    // Prerequisites belong to the machine, so one answer covers every tool
+    const missingActions = new Map();
+    let exitCode = EXIT_CODES.OK;
+
+    for (const toolId of tools) {
+        const toolName = getTool(toolId).name;
+        const prefix = allTools ? `[${toolName}] ` : '';
+
+        // "All tools" never means the current directory unless --workspace says so
+        if (!flags.workspace && !hasGlobal(toolId)) {
+            console.log(chalk.yellow(`${prefix}${toolId} has no global location; rerun with --workspace to install into ${process.cwd()}`));
+            results.push({ tool: toolId, location: 'global', asset: 'no global location', status: 'skipped' });
+            continue;
+        }
+        const location = flags.workspace ? 'workspace' : 'global';
+
+        const { jobs, unavailable, error } = await planInstall(assetType, names, flags, toolId, fetched);
+        if (error) {
+            console.error(chalk.red(`Error: ${error}`));
+            return EXIT_CODES.FAILURE;
+        }
+        if (unavailable.length > 0) {
+            if (!allTools) {
+                const known = (await getAvailableAssets(assetType, toolId)).map(asset => asset.name).join(', ') || 'none';
+                console.error(chalk.red(`Error: Unknown ${typeName} for ${toolName}: ${unavailable.join(', ')} (available: ${known})`));
+                return EXIT_CODES.FAILURE;
+            }
+            unavailable.forEach(name => results.push({ tool: toolId, location, asset: `${name} (not available)`, status: 'skipped' }));
+        }
+
+        // Converted formats can't share a linked copy; with --tool all they are copied instead
+        const link = Boolean(flags.link) && (!allTools || canLink(toolId, assetType));
+
+        console.log('');
+        for (const { name, assets } of jobs) {
+            let overwrite = false;
+            let result = await installAsset(assetType, toolId, name, location, overwrite, { assets, link });
+
+            if (result.exists) {
+                const action = await resolveConflict(flags, `${prefix}${name}`, result.path);
+                if (action === 'skip') {
+                    console.log(chalk.yellow(`${prefix}Skipped: ${name} already exists at ${result.path}`));
+                    results.push({ tool: toolId, location, asset: name, status: 'skipped' });
+                    continue;
+                }
+                if (action === 'fail') {
+                    console.error(chalk.red(`${prefix}Conflict: ${name} already exists at ${result.path} (use --on-conflict override)`));
+                    results.push({ tool: toolId, location, asset: `${name} (exists)`, status: 'skipped' });
+                    exitCode = Math.max(exitCode, EXIT_CODES.CONFLICT);
+                    continue;
+                }
+                overwrite = true;
+                result = await installAsset(assetType, toolId, name, location, overwrite, { assets, link });
+            }
+
+            if (result.missingRequirements) {
+                if (!missingActions.has(name)) {
+                    missingActions.set(name, await resolveMissing(flags, name, result.missing));
+                }
+                const action = missingActions.get(name);
+                if (action === 'skip') {
+                    console.log(chalk.yellow(`${prefix}Skipped: ${name} (missing prerequisites)`));
+                    results.push({ tool: toolId, location, asset: name, status: 'skipped' });
+                    continue;
+                }
+                if (action === 'fail') {
+                    console.error(chalk.red(`${prefix}✗ ${name}: missing prerequisites (install them, or pass --yes to install anyway)`));
+                    results.push({ tool: toolId, location, asset: `${name} (missing prerequisites)`, status: 'failed' });
+                    exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+                    continue;
+                }
+                result = await installAsset(assetType, toolId, name, location, overwrite, { assets, link, allowMissing: true });
+            }
+
+            if (!result.success) {
+                console.error(chalk.red(`${prefix}✗ ${name}: ${result.error}`));
+                results.push({ tool: toolId, location, asset: name, status: 'failed' });
+                exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+                continue;
+            }
+
+            console.log(chalk.green(`${prefix}✓ ${name} ${link ? 'linked at' : 'installed to'} ${result.path}`));
+            if (result.missing.length > 0) {
+                console.log(chalk.dim(`${prefix}  Re-check its prerequisites with "quick-alias doctor"`));
+            }
+            results.push({ tool: toolId, location, asset: name, status: link ? 'linked' : 'installed' });
+        }
+    }
+
+    console.log('');
+    if (allTools) {
+        printSummary(results);
+        console.log('');
+    }
+    return exitCode;
+}
+
+/**
+ * Locations a command looks at: both unless --workspace or --global
+ * @returns {Array<'global'|'workspace'>}
+ */
+function scopeLocations(flags) {
+    if (flags.workspace) return ['workspace'];
+    if (flags.global) return ['global'];
+    return ['global', 'workspace'];
+}
+
+/**
+ * Manifest entries in scope, narrowed by --tool, --type and names
+ * @returns {Promise<Array<{location: string, entry: Object}>>}
+ */
+async function findInstalled(flags, names = []) {
+    const found = [];
+    for (const location of scopeLocations(flags)) {
+        for (const entry of (await readManifest(location)).assets) {
+            if (flags.tool && entry.tool !== flags.tool) continue;
+            if (flags.type && entry.type !== flags.type) continue;
+            if (names.length > 0 && !names.includes(entry.name)) continue;
+            found.push({ location, entry });
+        }
+    }
+    return found;
+}
+
+/**
+ * Label for an installed asset in messages
+ */
+function describeInstall({ location, entry }) {
+    const tool = getTool(entry.tool)?.name || entry.tool;
+    return `${entry.name} ${chalk.dim(`(${tool}, ${location}${entry.type === 'skills' ? '' : `, ${entry.type}`})`)}`;
+}
+
+/**
+ * What changed for an outdated asset: "1.0 → 1.1", or "1.0 (changed)" when the
+ * version stayed the same. Sources without versions are compared by the content
+ * hashes in the manifest alone (isOutdated), so they only changed upstream
+ */
+function describeVersions(installed, available) {
+    if (!installed && !available) return '(changed upstream)';
+    if (installed === available) return `${installed} (changed)`;
+    return `${installed || 'unknown'} → ${available || 'unknown'}`;
+}
+
+/**
+ * The asset an install came from, as it is available now
+ * Sources are fetched once per run
+ * @returns {Promise<{asset: Object|null, assets: Array}>}
+ */
+async function resolveCurrent(entry, fetched) {
+    let assets;
+    if (entry.source === 'bundled') {
+        assets = await getAvailableAssets(entry.type, entry.tool);
+    } else {
+        if (!fetched.has(entry.source)) {
+            fetched.set(entry.source, fetchSource(entry.source));
+        }
+        assets = await getSourceAssets(await fetched.get(entry.source), entry.type, entry.tool);
+    }
+    return { asset: assets.find(asset => asset.name === entry.name) || null, assets };
+}
+
+/**
+ * Installed assets whose source now has something different
+ * @returns {Promise<Array<{location: string, entry: Object, asset: Object|null, assets: Array, error?: string}>>}
+ */
+async function findOutdated(flags, names) {
+    const fetched = new Map();
+    const outdated = [];
+
+    for (const installed of await findInstalled(flags, names)) {
+        const { location, entry } = installed;
+        try {
+            const { asset, assets } = await resolveCurrent(entry, fetched);
+            if (!asset) {
+                outdated.push({ ...installed, asset, assets, error: `no longer available from ${entry.source}` });
+            } else if (await isOutdated(entry, asset, location)) {
+                outdated.push({ ...installed, asset, assets });
+            }
+        } catch (error) {
+            outdated.push({ ...installed, asset: null, assets: [], error: `could not check ${entry.source}: ${error.message}` });
+        }
+    }
+    return outdated;
+}
+
+/**
+ * Decide what to do about files changed since quick-alias wrote them
+ * @returns {Promise<{action: 'discard'|'keep'|'backup', asked: boolean}>}
+ */
+async function resolveLocalChanges(flags, installed, changes, verb) {
+    console.log(chalk.yellow(`⚠️  ${installed.entry.name} was changed since it was installed:`));
+    for (const { key, state } of changes) {
+        console.log(chalk.yellow(`     ${state === 'missing' ? 'deleted ' : 'modified'} ${key}`));
+    }
+
+    if (flags.onModified) return { action: flags.onModified, asked: true };
+    if (!canPrompt(flags)) return { action: 'keep', asked: false };
+
+    const { action } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'action',
+            message: `${verb} ${installed.entry.name}?`,
+            choices: [
+                { name: `${verb} and discard my changes`, value: 'discard' },
+                { name: 'Keep my version', value: 'keep' },
+                { name: `Back up my version, then ${verb.toLowerCase()}`, value: 'backup' }
+            ]
+        }
+    ]);
+    return { action, asked: true };
+}
+
+/**
+ * Check for local changes and act on the user's choice before replacing or removing an install
+ * @returns {Promise<'proceed'|'kept'|'refused'>} refused when changes were kept without being asked
+ */
+async function guardLocalChanges(flags, installed, verb) {
+    const changes = await findLocalChanges(installed.location, installed.entry);
+    if (changes.length === 0) return 'proceed';
+
+    const { action, asked } = await resolveLocalChanges(flags, installed, changes, verb);
+    if (action === 'keep') {
+        console.log(chalk.yellow(`   Kept ${installed.entry.name}${asked ? '' : ` (use --on-modified discard|backup to ${verb.toLowerCase()} it)`}`));
+        return asked ? 'kept' : 'refused';
+    }
+    if (action === 'backup') {
+        const files = Object.keys(installed.entry.files).map(key => fromKey(installed.location, key));
+        const id = await createBackup(files, { operation: `skills ${verb.toLowerCase()} ${installed.entry.name}` });
+        console.log(chalk.dim(`   Backup: ${id} (restore with: quick-alias backups restore ${id})`));
+    }
+    return 'proceed';
+}
+
+/**
+ * quick-alias skills outdated [--tool <id>] [--type <type>] [--workspace|--global] [--json]
+ */
+async function outdatedCommand(names, flags) {
+    const outdated = await findOutdated(flags, names);
+
+    const rows = [];
+    for (const { location, entry, asset, error } of outdated) {
+        const changes = await findLocalChanges(location, entry);
+        rows.push({
+            tool: entry.tool,
+            type: entry.type,
+            name: entry.name,
+            location,
+            source: entry.source,
+            installed: entry.version,
+            available: asset?.version ?? null,
+            modified: changes.length > 0,
+            ...(error ? { error } : {})
+        });
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(rows, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    if (rows.length === 0) {
+        console.log(chalk.dim('Everything is up to date.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    for (const [index, row] of rows.entries()) {
+        const versions = row.error ? chalk.red(row.error) : chalk.green(describeVersions(row.installed, row.available));
+        const modified = row.modified ? chalk.yellow(' [modified locally]') : '';
+        console.log(`  ${describeInstall(outdated[index])} ${versions}${modified}`);
+    }
+    console.log(chalk.dim('\nRun "quick-alias skills update" to update them.\n'));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias skills update [<name>...] [--tool <id>] [--type <type>] [--workspace|--global]
+ *                            [--on-modified discard|keep|backup] [--dry-run] [--yes|--force]
+ */
+async function updateCommand(names, flags) {
+    const outdated = await findOutdated(flags, names);
+
+    console.log('');
+    if (outdated.length === 0) {
+        console.log(chalk.dim('Everything is up to date.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    const missingActions = new Map();
+    let exitCode = EXIT_CODES.OK;
+    for (const installed of outdated) {
+        const { location, entry, asset, assets, error } = installed;
+        if (error) {
+            console.error(chalk.red(`✗ ${entry.name}: ${error}`));
+            exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+            continue;
+        }
+        if (flags.dryRun) {
+            console.log(`  ${chalk.yellow('~')} ${describeInstall(installed)} ${describeVersions(entry.version, asset.version)}`);
+            continue;
+        }
+
+        // Updating another tool's link may already have updated this one's store
+        if (entry.link) {
+            installed.entry = await getEntry(location, entry);
+            if (!await isOutdated(installed.entry, asset, location)) {
+                console.log(chalk.green(`✓ Updated ${describeInstall(installed)} ${describeVersions(entry.version, asset.version)} (shared copy)`));
+                continue;
+            }
+        }
+
+        const guard = await guardLocalChanges(flags, installed, 'Update');
+        if (guard !== 'proceed') {
+            if (guard === 'refused') exitCode = Math.max(exitCode, EXIT_CODES.CONFLICT);
+            continue;
+        }
+
+        let result = await installAsset(entry.type, entry.tool, entry.name, location, true, { assets, link: Boolean(entry.link) });
+        if (result.missingRequirements) {
+            if (!missingActions.has(entry.name)) {
+                missingActions.set(entry.name, await resolveMissing(flags, entry.name, result.missing));
+            }
+            const action = missingActions.get(entry.name);
+            if (action === 'skip') {
+                console.log(chalk.yellow(`Skipped: ${describeInstall(installed)} (missing prerequisites)`));
+                continue;
+            }
+            if (action === 'fail') {
+                console.error(chalk.red(`✗ ${entry.name}: missing prerequisites (install them, or pass --yes to update anyway)`));
+                exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+                continue;
+            }
+            result = await installAsset(entry.type, entry.tool, entry.name, location, true, { assets, link: Boolean(entry.link), allowMissing: true });
+        }
+        if (!result.success) {
+            console.error(chalk.red(`✗ ${entry.name}: ${result.error}`));
+            exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+            continue;
+        }
+        console.log(chalk.green(`✓ Updated ${describeInstall(installed)} ${describeVersions(entry.version, asset.version)}`));
+        if (result.missing.length > 0) {
+            console.log(chalk.dim('  Re-check its prerequisites with "quick-alias doctor"'));
+        }
+    }
+
+    if (flags.dryRun) console.log(chalk.dim('\nDry run: nothing was updated.'));
+    console.log('');
+    return exitCode;
+}
+
+/**
+ * quick-alias skills uninstall <name>... [--tool <id>] [--type <type>] [--workspace|--global]
+ *                               [--on-modified discard|keep|backup] [--force] [--yes]
+ * Assets quick-alias didn't record are only removed with --tool and --force
+ */
+async function uninstallCommand(names, flags) {
+    if (names.length === 0) {
+        return usageError('Name what to uninstall');
+    }
+
+    const found = await findInstalled(flags, names);
+    const untracked = [];
+    for (const name of names.filter(name => !found.some(({ entry }) => entry.name === name))) {
+        const type = flags.type || 'skills';
+        const locations = flags.tool ? scopeLocations(flags) : [];
+        const present = [];
+        for (const location of locations) {
+            if (await isAssetInstalled(flags.tool, type, location, name)) present.push(location);
+        }
+        if (present.length === 0) {
+            console.error(chalk.red(`Error: ${name} is not installed${flags.tool ? ` for ${getTool(flags.tool).name}` : ''}`));
+            return EXIT_CODES.FAILURE;
+        }
+        if (!flags.force) {
+            const where = present.map(location => getAssetPath(flags.tool, type, location, name)).join(', ');
+            console.error(chalk.red(`Error: ${name} at ${where} wasn't installed by quick-alias (use --force to remove it anyway)`));
+            return EXIT_CODES.FAILURE;
+        }
+        untracked.push(...present.map(location => ({ location, entry: { tool: flags.tool, type, name, files: {} } })));
+    }
+
+    const targets = [...found, ...untracked];
+    console.log('');
+    console.log(chalk.bold('Will remove:'));
+    for (const installed of targets) {
+        console.log(`  ${chalk.red('-')} ${describeInstall(installed)}`);
+    }
+    console.log('');
+
+    if (!flags.yes) {
+        if (!canPrompt(flags)) {
+            console.error(chalk.red('Error: Refusing to remove files without --yes when not running interactively'));
+            return EXIT_CODES.USAGE;
+        }
+        const { confirm } = await inquirer.prompt([
+            { type: 'confirm', name: 'confirm', message: 'Remove them?', default: true }
+        ]);
+        if (!confirm) return EXIT_CODES.OK;
+    }
+
+    let exitCode = EXIT_CODES.OK;
+    for (const installed of targets) {
+        const { location, entry } = installed;
+        const guard = await guardLocalChanges(flags, installed, 'Remove');
+        if (guard !== 'proceed') {
+            if (guard === 'refused') exitCode = Math.max(exitCode, EXIT_CODES.CONFLICT);
+            continue;
+        }
+
+        const result = await uninstallAsset(entry.type, entry.tool, entry.name, location);
+        if (!result.success) {
+            console.error(chalk.red(`✗ ${entry.name}: ${result.error}`));
+            exitCode = Math.max(exitCode, EXIT_CODES.FAILURE);
+            continue;
+        }
+        console.log(chalk.green(`✓ Removed ${describeInstall(installed)} from ${result.path}`));
+    }
+    console.log('');
+    return exitCode;
+}
+
+/**
+ * Skill folders a validate argument stands for: the folder of a SKILL.md, a
+ * skill folder, or every skill found under a directory
+ * @returns {Promise<string[]>}
+ */
+async function skillDirsFor(target) {
+    const resolved = path.resolve(target);
+    const stat = await fs.stat(resolved).catch(() => null);
+    if (!stat) return [];
+    if (stat.isFile()) {
+        return path.basename(resolved) === 'SKILL.md' ? [path.dirname(resolved)] : [];
+    }
+    return findAssetDirs(resolved, 'SKILL.md');
+}
+
+/**
+ * quick-alias skills validate [<path>...] [--json]
+ * Paths may be skill folders, SKILL.md files (as pre-commit passes them) or
+ * directories of skills; defaults to the current directory
+ */
+async function validateCommand(targets, flags) {
+    if (targets.length === 0) targets = ['.'];
+
+    const results = [];
+    for (const target of targets) {
+        const dirs = await skillDirsFor(target);
+        if (dirs.length === 0) {
+            results.push({ path: target, valid: false, errors: ['SKILL.md not found'] });
+        }
+        for (const dir of dirs) {
+            if (results.some(result => result.dir === dir)) continue;
+            results.push({ dir, path: path.relative(process.cwd(), dir) || '.', ...await validateSkill(dir) });
+        }
+    }
+    const report = results.map(({ path: file, valid, errors }) => ({ path: file, valid, errors }));
+    const failed = report.some(result => !result.valid);
+
+    if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+
+    for (const { path: file, valid, errors } of report) {
+        if (valid) {
+            console.log(chalk.green(`✓ ${file}`));
+            continue;
+        }
+        console.log(chalk.red(`✗ ${file}`));
+        errors.forEach(error => console.log(chalk.red(`    ${error}`)));
+    }
+    return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias skills new <name> [--path <dir> | --tool <id> [--workspace|--global]]
+ * Creates the folder in --path, in a tool's skills directory, or in the
+ * working directory, with the same template as init_skill.py
+ */
+async function newCommand(names, flags) {
+    if (names.length !== 1) return usageError('Name the skill to create, e.g. "quick-alias skills new my-skill"');
+    const [name] = names;
+    const problem = checkSkillName(name);
+    if (problem) return usageError(problem);
+    if (flags.path && flags.tool) return usageError('Use either --path or --tool');
+
+    let parentDir = flags.path || process.cwd();
+    if (flags.tool) {
+        const tool = getTool(flags.tool);
+        if ((tool.assets.skills.layout || 'directory') !== 'directory') {
+            console.error(chalk.red(`Error: ${tool.name} gets skills converted to its own format, so it has no skills folder to create one in`));
+            console.error(chalk.dim(`Create it with --path, then "quick-alias skills install ./${name} --tool ${flags.tool}"`));
+            return EXIT_CODES.FAILURE;
+        }
+        const location = flags.workspace || (!flags.global && !tool.assets.skills.globalPath) ? 'workspace' : 'global';
+        parentDir = getTargetDir(flags.tool, 'skills', location);
+        if (!parentDir) {
+            console.error(chalk.red(`Error: ${tool.name} has no global skills directory (use --workspace)`));
+            return EXIT_CODES.FAILURE;
+        }
+    }
+
+    let created;
+    try {
+        created = await createSkill(name, parentDir);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    console.log('');
+    console.log(chalk.green(`✓ Created ${created.dir}`));
+    created.files.forEach(file => console.log(chalk.dim(`    ${file}`)));
+    console.log('');
+    console.log('Next steps:');
+    console.log('  1. Edit SKILL.md to complete the TODO items and update the description');
+    console.log('  2. Customize or delete the example files in scripts/, references/, and assets/');
+    const shown = path.relative(process.cwd(), created.dir);
+    console.log(`  3. Check it with "quick-alias skills validate ${shown.startsWith('..') ? created.dir : shown}"`);
+    console.log('');
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias skills pack <dir> [--out <dir>] [--json]
+ * Validates the skill, then writes <out>/<folder>.zip in package_skill.py's layout
+ */
+async function packCommand(names, flags) {
+    if (names.length !== 1) return usageError('Name the skill folder to pack, e.g. "quick-alias skills pack ./my-skill"');
+
+    let result;
+    try {
+        result = await packSkill(names[0], flags.out);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        return EXIT_CODES.FAILURE;
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return result.valid ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    }
+
+    if (!result.valid) {
+        console.error(chalk.red(`✗ ${names[0]} is not a valid skill:`));
+        result.errors.forEach(error => console.error(chalk.red(`    ${error}`)));
+        return EXIT_CODES.FAILURE;
+    }
+
+    result.entries.forEach(entry => console.log(chalk.dim(`  Added: ${entry}`)));
+    console.log(chalk.green(`✓ Packed ${result.entries.length} files to ${result.file}`));
+    return EXIT_CODES.OK;
+}
+
+/**
+ * quick-alias skills [list|install <name|source>...|outdated|update|uninstall <name>...|validate]
+ */
+export async function runSkillsCommand(argv) {
+    const { positionals, flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'json', 'workspace', 'global', 'all', 'dry-run', 'force', 'link'],
+        string: ['tool', 'type', 'on-conflict', 'on-modified', 'path', 'out'],
+        multiple: ['skill'],
+        alias: { y: 'yes' }
+    });
+    if (error) return usageError(error);
+
+    const assetType = flags.type || 'skills';
+    if (!getAssetType(assetType)) {
+        return usageError(`Unknown type "${assetType}". Use one of: ${Object.keys(ASSET_TYPES).join(', ')}`);
+    }
+    if (flags.tool && flags.tool !== 'all' && !toolIds(assetType).includes(flags.tool)) {
+        const supported = toolIds(assetType);
+        return usageError(getTool(flags.tool)
+            ? `${getTool(flags.tool).name} doesn't support ${assetType} (supported: ${supported.join(', ')})`
+            : `Unknown tool "${flags.tool}". Use one of: ${supported.join(', ')}`);
+    }
+    if (flags.onConflict && !CONFLICT_ACTIONS.includes(flags.onConflict)) {
+        return usageError(`--on-conflict must be one of: ${CONFLICT_ACTIONS.join(', ')}`);
+    }
+    if (flags.onModified && !MODIFIED_ACTIONS.includes(flags.onModified)) {
+        return usageError(`--on-modified must be one of: ${MODIFIED_ACTIONS.join(', ')}`);
+    }
+    if (flags.workspace && flags.global) {
+        return usageError('Use either --workspace or --global');
+    }
+
+    const [action = 'list', ...names] = positionals;
+    if (flags.tool === 'all' && action !== 'install') {
+        return usageError('--tool all only works with install (the other actions cover every tool without --tool)');
+    }
+
+    if (action === 'list') return listCommand(assetType, flags);
+    if (action === 'show') return showCommand(assetType, names, flags);
+    if (action === 'search') return searchCommand(assetType, names, flags);
+    if (action === 'install') return installCommand(assetType, names, flags);
+    if (action === 'outdated') return outdatedCommand(names, flags);
+    if (action === 'update') return updateCommand(names, flags);
+    if (action === 'uninstall') return uninstallCommand(names, flags);
+    if (action === 'validate') return validateCommand(names, flags);
+    if (action === 'new' || action === 'pack') {
+        if (assetType !== 'skills') return usageError(`${action} only works with skills`);
+        return action === 'new' ? newCommand(names, flags) : packCommand(names, flags);
+    }
+
+    return usageError(`Unknown action "${action}"`);
+}
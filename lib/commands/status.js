@@ -0,0 +1,107 @@
+/**
+ * quick-alias status - list everything quick-alias manages in the shell profile
+ */
+
+import chalk from 'chalk';
+import { getManagedFiles } from '../installer.js';
+import { getStatus } from '../status.js';
+import { resolveTargets } from '../targets.js';
+import { parseArgs, EXIT_CODES } from '../args.js';
+
+/**
+ * Build the warning lines for a feature entry
+ */
+function describeProblems(feature) {
+    const problems = [];
+    if (feature.orphaned) {
+        problems.push('banner without aliases (left behind by an earlier overwrite)');
+    }
+    if (feature.unterminated) {
+        problems.push('missing end marker');
+    }
+    if (feature.modified === true) {
+        problems.push(feature.verified
+            ? 'hand-edited since it was generated'
+            : 'differs from the current template (hand-edited or older version)');
+    }
+    if (feature.outdated) {
+        problems.push(`generated by ${feature.version ? `quick-alias ${feature.version}` : 'an older quick-alias'} (run "quick-alias upgrade")`);
+    }
+    if (feature.duplicates.length > 0) {
+        problems.push(`defined more than once: ${feature.duplicates.join(', ')}`);
+    }
+    return problems;
+}
+
+/**
+ * Print the managed blocks of one file
+ */
+function showFileStatus(status) {
+    console.log(`${chalk.bold('Profile:')} ${status.profile}`);
+    console.log('');
+
+    if (!status.exists) {
+        console.log(chalk.dim('  Profile does not exist yet.\n'));
+        return;
+    }
+
+    if (status.features.length === 0) {
+        console.log(chalk.dim('  No quick-alias features installed.\n'));
+        return;
+    }
+
+    for (const feature of status.features) {
+        let summary = feature.aliases.length > 0 ? feature.aliases.join(', ') : chalk.dim('(none)');
+        if (feature.sources) summary = `sources ${feature.sources}`;
+        console.log(`  ${chalk.cyan(feature.name.padEnd(16))} ${summary} ${chalk.dim(`line ${feature.line}`)}`);
+
+        if (feature.provider) {
+            console.log(chalk.dim(`    Provider: ${feature.provider} | Model: ${feature.model || '-'}`));
+        }
+        // Only what the block records; the loader has no Generated line, legacy blocks no Version
+        const details = [
+            feature.generated && `Generated: ${feature.generated}`,
+            feature.version && `Version: ${feature.version}`
+        ].filter(Boolean);
+        if (details.length > 0) {
+            console.log(chalk.dim(`    ${details.join(' | ')}`));
+        }
+
+        for (const problem of describeProblems(feature)) {
+            console.log(chalk.yellow(`    ⚠️  ${problem}`));
+        }
+        console.log('');
+    }
+}
+
+/**
+ * quick-alias status [--profile <path>]... [--json]
+ * Without --profile, every detected profile is listed
+ */
+export async function runStatusCommand(argv) {
+    const { flags, error } = parseArgs(argv, { boolean: ['json'], multiple: ['profile'] });
+    if (error) {
+        console.error(chalk.red(`Error: ${error}`));
+        return EXIT_CODES.USAGE;
+    }
+
+    // Each profile is checked together with its init file, since those load into the same shell
+    const statuses = [];
+    for (const target of await resolveTargets({ profiles: flags.profile, all: !flags.profile })) {
+        for (const status of await getStatus(await getManagedFiles([target]))) {
+            if (!statuses.some(s => s.profile === status.profile)) statuses.push(status);
+        }
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(statuses, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    console.log('');
+    for (const status of statuses) {
+        showFileStatus(status);
+    }
+
+    return EXIT_CODES.OK;
+}
@@ -0,0 +1,120 @@
+/**
+ * quick-alias uninstall - remove generated blocks from the shell profile
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { getManagedFiles } from '../installer.js';
+import { resolveTargets } from '../targets.js';
+import { planUninstall, uninstallFeatures, UNINSTALL_FEATURES } from '../uninstall.js';
+import { FEATURE_NAMES } from '../status.js';
+import { printChanges } from '../diff.js';
+import { parseArgs, canPrompt, EXIT_CODES } from '../args.js';
+
+/**
+ * Print the blocks that will be removed
+ */
+function showPreview(plans) {
+    console.log(chalk.bold('Will remove:'));
+    for (const { profile, blocks } of plans) {
+        console.log(`  ${profile}`);
+        for (const block of blocks) {
+            const detail = block.aliases.length > 0
+                ? block.aliases.join(', ')
+                : (block.orphaned ? 'orphaned banner' : null);
+            console.log(`    ${chalk.red('-')} ${FEATURE_NAMES[block.feature] || block.feature} ` +
+                (detail ? chalk.dim(`(${detail}) `) : '') +
+                chalk.dim(`lines ${block.start + 1}-${block.end}`));
+        }
+    }
+    console.log('');
+}
+
+/**
+ * quick-alias uninstall [git|reload|pnpm|all] [--profile <path>]... [--all-profiles] [--dry-run] [--yes]
+ */
+export async function runUninstallCommand(argv) {
+    const { positionals, flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'all-profiles', 'dry-run'],
+        multiple: ['profile'],
+        alias: { y: 'yes' }
+    });
+    if (error) {
+        console.error(chalk.red(`Error: ${error}`));
+        return EXIT_CODES.USAGE;
+    }
+
+    const target = positionals[0] || 'all';
+    if (target !== 'all' && !UNINSTALL_FEATURES.includes(target)) {
+        console.error(chalk.red(`Error: Unknown feature "${target}". Use one of: ${UNINSTALL_FEATURES.join(', ')}, all`));
+        return EXIT_CODES.USAGE;
+    }
+    // "all" also drops the profile line that sources the init file
+    const features = target === 'all' ? [...UNINSTALL_FEATURES, 'init'] : [target];
+
+    const targets = await resolveTargets({ profiles: flags.profile, all: flags.allProfiles });
+    const profiles = targets.map(target => target.profile);
+    const plans = [];
+    for (const file of await getManagedFiles(targets)) {
+        const plan = await planUninstall(file, features);
+        if (plan.blocks.length > 0) plans.push(plan);
+    }
+
+    console.log('');
+
+    if (plans.length === 0) {
+        console.log(chalk.dim(`Nothing to uninstall from ${profiles.join(', ')}.\n`));
+        return EXIT_CODES.OK;
+    }
+
+    showPreview(plans);
+
+    if (flags.dryRun) {
+        for (const plan of plans) {
+            const result = await uninstallFeatures(plan.profile, features, {
+                removeIfEmpty: !profiles.includes(plan.profile),
+                dryRun: true
+            });
+            if (result.success) printChanges(result.changes);
+        }
+        console.log(chalk.dim('Dry run: no files were written.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    if (!flags.yes) {
+        if (!canPrompt(flags)) {
+            console.error(chalk.red('Error: Refusing to modify the profile without --yes when not running interactively'));
+            return EXIT_CODES.USAGE;
+        }
+
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: 'Remove these blocks?',
+                default: false
+            }
+        ]);
+        if (!confirm) return EXIT_CODES.OK;
+    }
+
+    let failed = false;
+    for (const plan of plans) {
+        const result = await uninstallFeatures(plan.profile, features, {
+            removeIfEmpty: !profiles.includes(plan.profile)
+        });
+
+        if (!result.success) {
+            console.error(chalk.red(`Failed (${plan.profile}): ${result.error}`));
+            failed = true;
+            continue;
+        }
+
+        console.log(chalk.green(`✓ Removed ${result.removed.length} block(s) from ${plan.profile}`));
+        console.log(chalk.dim(`  Backup: ${result.backup} (undo with: quick-alias backups restore ${result.backup})`));
+    }
+
+    console.log(chalk.dim('  Reload your shell or open a new terminal to drop the aliases.'));
+    console.log('');
+    return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
@@ -0,0 +1,146 @@
+/**
+ * quick-alias upgrade - regenerate blocks written by an older quick-alias with the same settings
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { getManagedFiles } from '../installer.js';
+import { installFeature, settingsFromBlock } from '../features.js';
+import { parseManagedBlocks } from '../blocks.js';
+import { readProfile } from '../profile.js';
+import { resolveTargets } from '../targets.js';
+import { UNINSTALL_FEATURES } from '../uninstall.js';
+import { FEATURE_NAMES } from '../status.js';
+import { printChanges } from '../diff.js';
+import { VERSION } from '../version.js';
+import { parseArgs, canPrompt, EXIT_CODES } from '../args.js';
+
+/**
+ * The installed block of each feature in a profile and its init file (or fish functions)
+ * The first block that records its settings wins, so an orphaned banner left by an
+ * old overwrite doesn't hide the real block after it (regenerating removes the orphan)
+ * @returns {Promise<Array<{file: string, block: Object}>>}
+ */
+async function findFeatureBlocks(target) {
+    const found = [];
+    for (const file of await getManagedFiles([target])) {
+        for (const block of parseManagedBlocks(await readProfile(file))) {
+            if (!UNINSTALL_FEATURES.includes(block.feature)) continue;
+
+            // Fish features span one file per function; they are regenerated together
+            const index = found.findIndex(entry => entry.block.feature === block.feature);
+            if (index === -1) {
+                found.push({ file, block });
+            } else if (!settingsFromBlock(found[index].block) && settingsFromBlock(block)) {
+                found[index] = { file, block };
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Work out which blocks the current templates would change
+ * @returns {Promise<{pending: Array, skipped: Array<{profile: string, feature: string, reason: string}>}>}
+ */
+async function planUpgrade(targets, { force }) {
+    const pending = [];
+    const skipped = [];
+
+    for (const target of targets) {
+        for (const { file, block } of await findFeatureBlocks(target)) {
+            const settings = settingsFromBlock(block);
+            if (!settings) {
+                skipped.push({ profile: file, feature: block.feature, reason: 'settings not recorded, reinstall it instead' });
+                continue;
+            }
+            if (block.modified === true && !force) {
+                skipped.push({ profile: file, feature: block.feature, reason: 'hand-edited (use --force to replace it)' });
+                continue;
+            }
+
+            const result = await installFeature(block.feature, settings, { profile: target.profile, dryRun: true });
+            if (!result.success) {
+                skipped.push({ profile: file, feature: block.feature, reason: result.error });
+            } else if (result.changes.length > 0) {
+                pending.push({ target, file, feature: block.feature, from: block.meta.version || null, settings, changes: result.changes });
+            }
+        }
+    }
+
+    return { pending, skipped };
+}
+
+/**
+ * quick-alias upgrade [--profile <path>]... [--force] [--dry-run] [--yes]
+ * Without --profile, every detected profile is upgraded
+ */
+export async function runUpgradeCommand(argv) {
+    const { flags, error } = parseArgs(argv, {
+        boolean: ['yes', 'force', 'dry-run'],
+        multiple: ['profile'],
+        alias: { y: 'yes' }
+    });
+    if (error) {
+        console.error(chalk.red(`Error: ${error}`));
+        return EXIT_CODES.USAGE;
+    }
+
+    const targets = await resolveTargets({ profiles: flags.profile, all: !flags.profile });
+    const { pending, skipped } = await planUpgrade(targets, { force: Boolean(flags.force) });
+
+    console.log('');
+    for (const { profile, feature, reason } of skipped) {
+        console.log(chalk.yellow(`⚠️  Skipped ${FEATURE_NAMES[feature]} in ${profile}: ${reason}`));
+    }
+    if (skipped.length > 0) console.log('');
+
+    if (pending.length === 0) {
+        console.log(chalk.dim(`Everything is up to date (quick-alias ${VERSION}).\n`));
+        return EXIT_CODES.OK;
+    }
+
+    console.log(chalk.bold(`Will regenerate with quick-alias ${VERSION}:`));
+    for (const { file, feature, from } of pending) {
+        console.log(`  ${chalk.yellow('~')} ${FEATURE_NAMES[feature]} ${chalk.dim(`in ${file} (from ${from || 'unversioned'})`)}`);
+    }
+    console.log('');
+    pending.forEach(({ changes }) => printChanges(changes));
+
+    if (flags.dryRun) {
+        console.log(chalk.dim('Dry run: no files were written.\n'));
+        return EXIT_CODES.OK;
+    }
+
+    if (!flags.yes) {
+        if (!canPrompt(flags)) {
+            console.error(chalk.red('Error: Refusing to modify the profile without --yes when not running interactively'));
+            return EXIT_CODES.USAGE;
+        }
+
+        const { confirm } = await inquirer.prompt([
+            { type: 'confirm', name: 'confirm', message: 'Apply these changes?', default: true }
+        ]);
+        if (!confirm) return EXIT_CODES.OK;
+    }
+
+    let failed = false;
+    for (const { target, feature, settings } of pending) {
+        const result = await installFeature(feature, settings, { profile: target.profile });
+
+        if (!result.success) {
+            console.error(chalk.red(`Failed (${FEATURE_NAMES[feature]}, ${target.profile}): ${result.error}`));
+            failed = true;
+            continue;
+        }
+
+        console.log(chalk.green(`✓ Upgraded ${FEATURE_NAMES[feature]} → ${result.file}`));
+        if (result.backup) {
+            console.log(chalk.dim(`  Backup: ${result.backup} (undo with: quick-alias backups restore ${result.backup})`));
+        }
+    }
+
+    console.log(chalk.dim('  Reload your shell or open a new terminal to use the new version.'));
+    console.log('');
+    return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
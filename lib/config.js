@@ -0,0 +1,171 @@
+/**
+ * Config - declarative quick-alias.json describing the features a machine should have
+ *
+ * {
+ *   "initFile": true,
+ *   "profiles": ["~/.zshrc", "~/.bashrc"],
+ *   "git": { "provider": "claude", "model": "haiku", "pushAlias": "gp", "commitAlias": "gc" },
+ *   "reload": { "alias": "rl" },
+ *   "pnpm": true
+ * }
+ *
+ * A feature is enabled by an object or true, and disabled by false or leaving it out
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getCLIById, CLI_INFO } from './detector.js';
+import { CONFIG_DIR } from './profile.js';
+
+export const CONFIG_FILE_NAME = 'quick-alias.json';
+export const USER_CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+
+const TOP_LEVEL_KEYS = ['$schema', 'initFile', 'profiles', 'allProfiles', 'git', 'reload', 'pnpm'];
+
+// Allowed keys per feature, and the defaults filled in for missing ones
+const FEATURE_OPTIONS = {
+    git: { enabled: true, provider: null, model: null, pushAlias: 'gp', commitAlias: 'gc' },
+    reload: { enabled: true, alias: 'rl' },
+    pnpm: { enabled: true }
+};
+
+const NAME_PATTERN = /^[A-Za-z_][\w.:-]*$/;
+
+/**
+ * Whether a name can be used for a generated alias or function
+ * It goes into shell code and into the patterns that look for existing definitions
+ */
+export function isValidAliasName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * Config files looked at, in order, when no path is given
+ * @param {string} [cwd]
+ */
+export function getConfigCandidates(cwd = process.cwd()) {
+    return [path.join(cwd, CONFIG_FILE_NAME), USER_CONFIG_PATH];
+}
+
+/**
+ * Fill in defaults for one feature entry
+ * @returns {Object|null} null when the feature is disabled
+ */
+function normalizeFeature(id, value, errors) {
+    if (value === undefined || value === false) return null;
+    if (value === true) value = {};
+
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`"${id}" must be true, false or an object`);
+        return null;
+    }
+
+    const defaults = FEATURE_OPTIONS[id];
+    for (const key of Object.keys(value).filter(key => !(key in defaults))) {
+        errors.push(`"${id}.${key}" is not a known option (expected: ${Object.keys(defaults).join(', ')})`);
+    }
+
+    const feature = { ...defaults, ...value };
+    return feature.enabled === false ? null : feature;
+}
+
+/**
+ * Validate a parsed config and fill in defaults
+ * @param {Object} raw - Parsed JSON
+ * @returns {{config: Object|null, errors: string[]}}
+ *   config.features maps each enabled feature to its options
+ */
+export function validateConfig(raw) {
+    const errors = [];
+
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        return { config: null, errors: ['the config must be a JSON object'] };
+    }
+
+    for (const key of Object.keys(raw).filter(key => !TOP_LEVEL_KEYS.includes(key))) {
+        errors.push(`"${key}" is not a known setting`);
+    }
+
+    if (raw.profiles !== undefined &&
+        (!Array.isArray(raw.profiles) || raw.profiles.some(p => typeof p !== 'string' || p === ''))) {
+        errors.push('"profiles" must be a list of paths');
+    }
+    for (const key of ['initFile', 'allProfiles']) {
+        if (raw[key] !== undefined && typeof raw[key] !== 'boolean') {
+            errors.push(`"${key}" must be true or false`);
+        }
+    }
+
+    const features = {};
+    for (const id of Object.keys(FEATURE_OPTIONS)) {
+        const feature = normalizeFeature(id, raw[id], errors);
+        if (feature) features[id] = feature;
+    }
+
+    if (features.git) {
+        const { provider, model, pushAlias, commitAlias } = features.git;
+        const cli = provider && getCLIById(provider);
+        if (!provider) {
+            errors.push(`"git.provider" is required (one of: ${Object.keys(CLI_INFO).join(', ')})`);
+        } else if (!cli) {
+            errors.push(`"git.provider" must be one of: ${Object.keys(CLI_INFO).join(', ')}`);
+        }
+        if (model !== null && typeof model !== 'string') {
+            errors.push('"git.model" must be a string');
+        }
+        for (const [key, name] of [['pushAlias', pushAlias], ['commitAlias', commitAlias]]) {
+            if (!isValidAliasName(name)) {
+                errors.push(`"git.${key}" must be a valid alias name`);
+            }
+        }
+        if (pushAlias === commitAlias) {
+            errors.push('"git.pushAlias" and "git.commitAlias" must differ');
+        }
+    }
+
+    if (features.reload && !isValidAliasName(features.reload.alias)) {
+        errors.push('"reload.alias" must be a valid alias name');
+    }
+
+    if (errors.length > 0) return { config: null, errors };
+
+    return {
+        config: {
+            initFile: Boolean(raw.initFile),
+            profiles: raw.profiles || [],
+            allProfiles: Boolean(raw.allProfiles),
+            features
+        },
+        errors
+    };
+}
+
+/**
+ * Find and read the config file
+ * @param {string} [configPath] - Explicit path (--config); otherwise ./quick-alias.json,
+ *   then ~/.config/quick-alias/config.json
+ * @returns {Promise<{file: string, config: Object|null, errors: string[]}|null>} null when no file exists
+ */
+export async function loadConfig(configPath) {
+    const candidates = configPath ? [path.resolve(configPath)] : getConfigCandidates();
+
+    for (const file of candidates) {
+        let text;
+        try {
+            text = await fs.readFile(file, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            return { file, config: null, errors: [`invalid JSON: ${error.message}`] };
+        }
+        return { file, ...validateConfig(raw) };
+    }
+
+    return null;
+}
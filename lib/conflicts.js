@@ -0,0 +1,257 @@
+/**
+ * Conflicts - find what a name already means in the user's real interactive shell
+ * Catches what a profile grep can't: framework aliases (oh-my-zsh git plugin),
+ * binaries on PATH, builtins and functions from other sourced files
+ */
+
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { countDefinitions, parseManagedBlocks, escapeRegExp } from './blocks.js';
+
+const execFileAsync = promisify(execFile);
+
+const BEGIN = '__QUICK_ALIAS_BEGIN__';
+const END = '__QUICK_ALIAS_END__';
+
+// Only plain names are interpolated into the inspection script
+const NAME_PATTERN = /^[\w.:-]+$/;
+
+// How each shell reports a name: "<name>\t<kind>\t<detail>", plus the framework dirs it uses
+const SCRIPTS = {
+    zsh: names => `print -r -- ${BEGIN}
+print -r -- "__dirs__	\${ZSH:-}	\${ZSH_CUSTOM:-}"
+for n in ${names.join(' ')}; do
+    k=$(whence -w -- $n); k=\${k#*: }
+    case $k in
+        alias) d=$(alias -- $n) ;;
+        function) d=\${functions_source[$n]:-} ;;
+        command) d=$(whence -p -- $n) ;;
+        *) d= ;;
+    esac
+    print -r -- "$n	$k	$d"
+done
+print -r -- ${END}`,
+
+    bash: names => `echo ${BEGIN}
+printf '__dirs__\\t%s\\t%s\\n' "\${OSH:-}" "\${BASH_IT:-}"
+shopt -s extdebug
+for n in ${names.join(' ')}; do
+    k=$(type -t -- "$n")
+    case $k in
+        alias) d=$(alias -- "$n") ;;
+        function) d=$(declare -F -- "$n") ;;
+        file) d=$(type -P -- "$n") ;;
+        *) d= ;;
+    esac
+    printf '%s\\t%s\\t%s\\n' "$n" "\${k:-none}" "$d"
+done
+echo ${END}`,
+
+    fish: names => `echo ${BEGIN}
+for n in ${names.join(' ')}
+    set -l k (type -t -- $n 2>/dev/null)
+    set -l d ''
+    switch "$k"
+        case function
+            set d (functions --details -- $n)
+        case file
+            set d (command -v -- $n)
+        case ''
+            if abbr -q -- $n
+                set k abbr
+            else
+                set k none
+            end
+    end
+    printf '%s\\t%s\\t%s\\n' $n $k "$d"
+end
+echo ${END}`
+};
+
+// Directories searched for the plugin that defines an alias
+function frameworkDirs(shell, reported) {
+    const home = homedir();
+    const dirs = shell === 'zsh'
+        ? [reported[0] || path.join(home, '.oh-my-zsh'), reported[1], path.join(home, '.zprezto')]
+        : [reported[0] || path.join(home, '.oh-my-bash'), reported[1] || path.join(home, '.bash_it')];
+    return dirs.filter(Boolean);
+}
+
+/**
+ * Binary to start for a shell: $SHELL when it is that shell, so the user's build is used
+ */
+function shellBinary(shell) {
+    const current = process.env.SHELL || '';
+    return path.basename(current) === shell ? current : shell;
+}
+
+/**
+ * Run the inspection script in an interactive shell so the user's rc files,
+ * frameworks and PATH are loaded exactly as in a terminal
+ * @returns {Promise<{entries: Array<{name: string, kind: string, detail: string}>, dirs: string[]}>}
+ */
+async function inspectNames(shell, names) {
+    const { stdout } = await execFileAsync(shellBinary(shell), ['-i', '-c', SCRIPTS[shell](names)], {
+        timeout: 15000,
+        maxBuffer: 4 * 1024 * 1024
+    });
+
+    const start = stdout.indexOf(BEGIN);
+    const end = stdout.indexOf(END, start);
+    if (start === -1 || end === -1) {
+        throw new Error('the shell produced no inspection output');
+    }
+
+    const entries = [];
+    let dirs = [];
+    for (const line of stdout.slice(start + BEGIN.length, end).split('\n').filter(Boolean)) {
+        const [name, kind, ...detail] = line.split('\t');
+        if (name === '__dirs__') {
+            dirs = [kind, ...detail];
+        } else {
+            entries.push({ name, kind, detail: detail.join('\t').trim() });
+        }
+    }
+    return { entries, dirs };
+}
+
+/**
+ * Recursively find the framework file that defines an alias
+ */
+async function findAliasOrigin(name, dirs) {
+    const pattern = new RegExp(`^\\s*alias\\s+(?:-\\w+\\s+)*${escapeRegExp(name)}=`, 'm');
+
+    async function search(dir, depth) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            return null;
+        }
+
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory() && depth > 0 && !entry.name.startsWith('.')) {
+                const found = await search(full, depth - 1);
+                if (found) return found;
+            } else if (entry.isFile() && /\.(zsh|bash|sh)$/.test(entry.name)) {
+                const content = await fs.readFile(full, 'utf-8').catch(() => '');
+                if (pattern.test(content)) return full;
+            }
+        }
+        return null;
+    }
+
+    for (const dir of dirs) {
+        const found = await search(dir, 3);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Human-readable origin of an existing definition
+ */
+async function describeSource(shell, entry, dirs) {
+    const home = homedir();
+    const tidy = file => file.startsWith(home + path.sep) ? `~${file.slice(home.length)}` : file;
+
+    switch (entry.kind) {
+        case 'alias': {
+            const value = entry.detail.replace(/^(alias )?[^=]+=/, '');
+            const origin = await findAliasOrigin(entry.name, frameworkDirs(shell, dirs));
+            if (!origin) return `alias for ${value}`;
+
+            const plugin = origin.match(/\/(?:plugins|modules|aliases\/available)\/([^/]+)/);
+            const framework = origin.match(/\.(oh-my-zsh|zprezto|oh-my-bash|bash_it)/);
+            const label = plugin && framework ? `${framework[1]} ${plugin[1].replace(/\.aliases\.bash$/, '')} plugin` : tidy(origin);
+            return `alias for ${value} from ${label}`;
+        }
+        case 'function': {
+            // bash: "name line file", zsh/fish: file
+            const match = entry.detail.match(/^\S+ (\d+) (.+)$/);
+            if (match) return `function from ${tidy(match[2])}:${match[1]}`;
+            return entry.detail && entry.detail !== 'n/a' ? `function from ${tidy(entry.detail)}` : 'function';
+        }
+        case 'command':
+        case 'file':
+        case 'hashed':
+            return `command ${entry.detail}`;
+        case 'builtin':
+            return 'shell builtin';
+        case 'reserved':
+        case 'keyword':
+            return 'reserved word (cannot be redefined)';
+        case 'abbr':
+            return 'fish abbreviation';
+        default:
+            return entry.kind;
+    }
+}
+
+/**
+ * Names defined in the given files (inside or outside quick-alias blocks)
+ * Those are reported by the profile checks, so they are not repeated here
+ */
+async function definedInFiles(files, names) {
+    const defined = new Set();
+    for (const file of files) {
+        const content = await fs.readFile(file, 'utf-8').catch(() => '');
+        for (const name of names) {
+            if (countDefinitions(content, name) > 0) defined.add(name);
+        }
+        parseManagedBlocks(content).forEach(block => block.aliases.forEach(name => defined.add(name)));
+    }
+    return defined;
+}
+
+/**
+ * Alternative names to offer for a taken one
+ */
+function candidateNames(name) {
+    return [`${name}a`, `${name}ai`, `q${name}`, `${name}x`, `${name}2`];
+}
+
+/**
+ * Check names against everything the user's interactive shell already defines
+ * @param {'zsh'|'bash'|'fish'} shell
+ * @param {string[]} names
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeFiles] - Profile/init files; definitions there are handled by the installers
+ * @returns {Promise<{checked: boolean, error?: string, conflicts: Array<{name: string, kind: string, source: string}>, suggestions: Object<string, string[]>}>}
+ */
+export async function findShellConflicts(shell, names, { excludeFiles = [] } = {}) {
+    // Other names can't go into the inspection script; say so rather than report them as free
+    const invalid = names.filter(name => !NAME_PATTERN.test(name));
+    if (invalid.length > 0) {
+        return { checked: false, error: `not valid alias names: ${invalid.join(', ')}`, conflicts: [], suggestions: {} };
+    }
+    const candidates = names.flatMap(candidateNames).filter(name => !names.includes(name));
+
+    let inspection;
+    try {
+        inspection = await inspectNames(shell, [...names, ...candidates]);
+    } catch (error) {
+        const reason = error.code === 'ENOENT' ? `${shell} is not installed` : (error.killed ? 'timed out' : error.message.split('\n')[0]);
+        return { checked: false, error: reason, conflicts: [], suggestions: {} };
+    }
+
+    const inProfiles = await definedInFiles(excludeFiles, [...names, ...candidates]);
+    const taken = new Map(inspection.entries
+        .filter(entry => entry.kind !== 'none' && !inProfiles.has(entry.name))
+        .map(entry => [entry.name, entry]));
+    const isFree = name => !taken.has(name) && !inProfiles.has(name);
+
+    const conflicts = [];
+    const suggestions = {};
+    for (const name of names.filter(n => taken.has(n))) {
+        const entry = taken.get(name);
+        conflicts.push({ name, kind: entry.kind, source: await describeSource(shell, entry, inspection.dirs) });
+        suggestions[name] = candidateNames(name).filter(isFree).slice(0, 3);
+    }
+
+    return { checked: true, conflicts, suggestions };
+}
@@ -0,0 +1,184 @@
+/**
+ * Diff - unified diffs of planned profile changes
+ */
+
+import chalk from 'chalk';
+
+// Above this many cells the LCS table is skipped and the whole middle is replaced
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Split file content into lines, ignoring the final newline
+ */
+function toLines(content) {
+    if (!content) return [];
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Line-level edit script between two line arrays
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldMid = a.slice(prefix, a.length - suffix);
+    const newMid = b.slice(prefix, b.length - suffix);
+    const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+    const n = oldMid.length;
+    const m = newMid.length;
+
+    if (n * m > MAX_LCS_CELLS) {
+        ops.push(...oldMid.map(line => ({ type: '-', line })));
+        ops.push(...newMid.map(line => ({ type: '+', line })));
+    } else {
+        // lcs[i][j] = length of the LCS of oldMid[i..] and newMid[j..]
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = oldMid[i] === newMid[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && oldMid[i] === newMid[j]) {
+                ops.push({ type: ' ', line: oldMid[i] });
+                i++;
+                j++;
+            } else if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+                ops.push({ type: '+', line: newMid[j++] });
+            } else {
+                ops.push({ type: '-', line: oldMid[i++] });
+            }
+        }
+    }
+
+    ops.push(...a.slice(a.length - suffix).map(line => ({ type: ' ', line })));
+    return groupChanges(ops);
+}
+
+/**
+ * Within each run of changed lines, list removals before additions (as git does)
+ */
+function groupChanges(ops) {
+    const grouped = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        grouped.push(...removed, ...added);
+        removed = [];
+        added = [];
+    };
+
+    for (const op of ops) {
+        if (op.type === '-') {
+            removed.push(op);
+        } else if (op.type === '+') {
+            added.push(op);
+        } else {
+            flush();
+            grouped.push(op);
+        }
+    }
+    flush();
+    return grouped;
+}
+
+/**
+ * Format a hunk range: "start,count", with start on the preceding line when empty
+ */
+function hunkRange(start, count) {
+    return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Build a unified diff between two versions of a file
+ * @param {string} file - Path shown in the headers
+ * @param {string} before - Current content ('' when the file does not exist)
+ * @param {string|null} after - New content, null when the file is deleted
+ * @param {Object} [options]
+ * @param {number} [options.context] - Unchanged lines around each change
+ * @returns {string} Empty when nothing changes
+ */
+export function unifiedDiff(file, before, after, { context = 3 } = {}) {
+    const ops = diffLines(toLines(before), toLines(after));
+
+    // Old/new line number of every op, so hunks can be cut anywhere
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+        return entry;
+    });
+
+    const changed = numbered.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context overlaps into hunks
+    const hunks = [];
+    for (const index of changed) {
+        const start = Math.max(0, index - context);
+        const end = Math.min(numbered.length, index + context + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            hunks.push({ start, end });
+        }
+    }
+
+    const lines = [
+        `--- ${before ? `a${file}` : '/dev/null'}`,
+        `+++ ${after === null ? '/dev/null' : `b${file}`}`
+    ];
+
+    for (const { start, end } of hunks) {
+        const slice = numbered.slice(start, end);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        lines.push(`@@ -${hunkRange(slice[0].oldLine, oldCount)} +${hunkRange(slice[0].newLine, newCount)} @@`);
+        lines.push(...slice.map(op => `${op.type}${op.line}`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Color a unified diff for the terminal
+ */
+export function colorizeDiff(diff) {
+    return diff.split('\n').map((line, index) => {
+        if (index < 2) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return chalk.dim(line);
+    }).join('\n');
+}
+
+/**
+ * Print colored diffs for a list of planned file changes
+ * @param {Array<{file: string, before: string, after: string|null}>} changes
+ */
+export function printChanges(changes) {
+    for (const { file, before, after } of changes) {
+        const diff = unifiedDiff(file, before, after);
+        if (diff) console.log(`${colorizeDiff(diff)}\n`);
+    }
+}
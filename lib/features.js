@@ -0,0 +1,70 @@
+/**
+ * Features - install any feature from its settings, and recover those settings from a block
+ * Settings use the config file shape: git {provider, model, pushAlias, commitAlias},
+ * reload {alias}, pnpm {}
+ */
+
+import { CLI_INFO, getCLIById } from './detector.js';
+import { installAliases } from './installer.js';
+import { installReloadAlias } from './reload.js';
+import { installPnpmAliases } from './pnpm-aliases.js';
+
+const INSTALLERS = {
+    git: ({ provider, model, pushAlias, commitAlias }, { profile, initFile, dryRun }) =>
+        installAliases({
+            gpAlias: pushAlias,
+            gcAlias: commitAlias,
+            cli: { ...getCLIById(provider), id: provider },
+            model,
+            overwrite: true,
+            initFile,
+            profile,
+            dryRun
+        }),
+    reload: ({ alias }, { profile, initFile, dryRun }) =>
+        installReloadAlias(alias, true, { initFile, profile, dryRun }),
+    pnpm: (settings, { profile, initFile, dryRun }) =>
+        installPnpmAliases({ overwrite: true, initFile, profile, dryRun })
+};
+
+/**
+ * Install (or regenerate) a feature, replacing any existing managed block for it
+ * @param {'git'|'reload'|'pnpm'} feature
+ * @param {Object} settings
+ * @param {Object} options
+ * @param {string} options.profile
+ * @param {boolean} [options.initFile]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<Object>} Installer result
+ */
+export function installFeature(feature, settings, { profile, initFile = false, dryRun = false }) {
+    return INSTALLERS[feature](settings, { profile, initFile, dryRun });
+}
+
+/**
+ * Settings a managed block was generated with
+ * Older git blocks only name the provider, which is mapped back to its CLI id
+ * @param {Object} block - From parseManagedBlocks
+ * @returns {Object|null} null when the block doesn't record enough to regenerate it
+ */
+export function settingsFromBlock(block) {
+    if (block.orphaned) return null;
+
+    switch (block.feature) {
+        case 'git': {
+            const provider = block.meta.cli && getCLIById(block.meta.cli)
+                ? block.meta.cli
+                : Object.keys(CLI_INFO).find(id => CLI_INFO[id].name === block.meta.provider);
+            if (!provider || block.aliases.length !== 2) return null;
+
+            const [pushAlias, commitAlias] = block.aliases;
+            return { provider, model: block.meta.model || null, pushAlias, commitAlias };
+        }
+        case 'reload':
+            return block.aliases.length === 1 ? { alias: block.aliases[0] } : null;
+        case 'pnpm':
+            return {};
+        default:
+            return null;
+    }
+}
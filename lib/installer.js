@@ -2,17 +2,38 @@ import { promises as fs } from 'fs';
 import { homedir } from 'os';
 import path from 'path';
 import { generateGpAlias, generateGcAlias } from '../templates/aliases.js';
+import { generateFishGpFunction, generateFishGcFunction } from '../templates/fish.js';
+import { renderBlock, parseManagedBlocks, unmanagedContent, escapeRegExp } from './blocks.js';
+import {
+    readProfile,
+    getInitFilePath,
+    getZshDir,
+    shellForProfile,
+    writeFeatureBlock,
+    writeFishFunctions,
+    findFishFunctionFiles,
+    fishDefinitionExists,
+    findUnmanagedInFiles,
+    FISH_CONFIG_DIR,
+    FISH_FUNCTIONS_DIR
+} from './profile.js';
+import { VERSION } from './version.js';
 
 /**
- * Detect the user's shell and return the profile path
+ * Detect the user's shell and return its default profile path
  */
 export async function detectShellProfile() {
     const home = homedir();
     const shell = process.env.SHELL || '';
 
+    // Fish loads functions from ~/.config/fish/functions; config.fish is the profile
+    if (shell.includes('fish')) {
+        return { shell: 'fish', profile: path.join(FISH_CONFIG_DIR, 'config.fish') };
+    }
+
     // Check for zsh first (more common on modern macOS)
     if (shell.includes('zsh')) {
-        const zshrc = path.join(home, '.zshrc');
+        const zshrc = path.join(getZshDir(), '.zshrc');
         return { shell: 'zsh', profile: zshrc };
     }
 
@@ -34,29 +55,75 @@ export async function detectShellProfile() {
 }
 
 /**
- * Backup the shell profile before modifying
+ * Resolve which file receives generated blocks
+ * The dedicated init file is used when requested, or automatically once the
+ * profile already sources it. Fish always uses its functions directory.
+ * @param {Object} [options]
+ * @param {boolean} [options.initFile] - Opt in to the init file
+ * @param {string} [options.profile] - Profile to install into (default: detected from $SHELL)
+ * @returns {Promise<{shell: string, profile: string, file: string}>}
  */
-async function backupProfile(profilePath) {
-    const backupPath = `${profilePath}.backup.${Date.now()}`;
-    try {
-        await fs.copyFile(profilePath, backupPath);
-        return backupPath;
-    } catch {
-        return null;
+export async function resolveInstallTarget({ initFile = false, profile: profilePath } = {}) {
+    const { shell, profile } = profilePath
+        ? { shell: shellForProfile(profilePath), profile: profilePath }
+        : await detectShellProfile();
+    if (shell === 'fish') {
+        return { shell, profile, file: FISH_FUNCTIONS_DIR };
     }
+
+    const content = await readProfile(profile);
+    const sourced = parseManagedBlocks(content).some(block => block.feature === 'init');
+
+    return {
+        shell,
+        profile,
+        file: initFile || sourced ? getInitFilePath(shell) : profile
+    };
 }
 
 /**
- * Check if alias already exists in profile
+ * Files that may hold quick-alias blocks: each profile and, if present, its
+ * init file (or the managed fish function files)
+ * @param {Array<{shell: string, profile: string}>} [targets] - Default: the detected profile
+ * @returns {Promise<string[]>}
  */
-async function aliasExists(profilePath, aliasName) {
-    try {
-        const content = await fs.readFile(profilePath, 'utf-8');
-        const pattern = new RegExp(`^${aliasName}\\s*\\(\\s*\\)\\s*\\{`, 'm');
-        return pattern.test(content);
-    } catch {
-        return false;
+export async function getManagedFiles(targets) {
+    const files = [];
+    for (const { shell, profile } of targets || [await detectShellProfile()]) {
+        files.push(profile);
+
+        if (shell === 'fish') {
+            files.push(...await findFishFunctionFiles());
+            continue;
+        }
+
+        const initFile = getInitFilePath(shell);
+        try {
+            await fs.access(initFile);
+            files.push(initFile);
+        } catch {
+            // No init file for this shell
+        }
     }
+    return [...new Set(files)];
+}
+
+/**
+ * Check if alias already exists in any of the given files
+ * Our own managed blocks don't count: installing again replaces them in place
+ */
+async function aliasExists(files, aliasName) {
+    const pattern = new RegExp(`^${escapeRegExp(aliasName)}\\s*\\(\\s*\\)\\s*\\{`, 'm');
+
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(file, 'utf-8');
+            if (pattern.test(unmanagedContent(content))) return true;
+        } catch {
+            // Missing file has no aliases
+        }
+    }
+    return false;
 }
 
 /**
@@ -64,8 +131,8 @@ async function aliasExists(profilePath, aliasName) {
  */
 export async function checkExistingAliases(gpAlias, gcAlias) {
     const { profile } = await detectShellProfile();
-    const gpExists = await aliasExists(profile, gpAlias);
-    const gcExists = await aliasExists(profile, gcAlias);
+    const gpExists = await aliasExists([profile], gpAlias);
+    const gcExists = await aliasExists([profile], gcAlias);
 
     return {
         profile,
@@ -75,46 +142,20 @@ export async function checkExistingAliases(gpAlias, gcAlias) {
     };
 }
 
-/**
- * Remove existing alias from profile
- */
-export async function removeExistingAlias(profilePath, aliasName) {
-    try {
-        let content = await fs.readFile(profilePath, 'utf-8');
-
-        // Pattern to match the entire function block including comment
-        const functionPattern = new RegExp(
-            `# [^\\n]*${aliasName}[^\\n]*\\n` +
-            `${aliasName}\\s*\\(\\s*\\)\\s*\\{[\\s\\S]*?\\n\\}\\n?`,
-            'g'
-        );
-
-        // Simpler pattern without comment
-        const simplePattern = new RegExp(
-            `${aliasName}\\s*\\(\\s*\\)\\s*\\{[\\s\\S]*?\\n\\}\\n?`,
-            'g'
-        );
-
-        content = content.replace(functionPattern, '');
-        content = content.replace(simplePattern, '');
-        content = content.replace(/\n{3,}/g, '\n\n');
-
-        await fs.writeFile(profilePath, content, 'utf-8');
-        return true;
-    } catch {
-        return false;
-    }
-}
-
 /**
  * Install aliases to shell profile
+ * With dryRun, nothing is written and the result lists the planned changes
  */
-export async function installAliases({ gpAlias, gcAlias, cli, model, overwrite = false }) {
+export async function installAliases({ gpAlias, gcAlias, cli, model, overwrite = false, initFile = false, profile: profilePath, dryRun = false }) {
     try {
-        const { shell, profile } = await detectShellProfile();
+        const target = await resolveInstallTarget({ initFile, profile: profilePath });
+        const { shell, profile } = target;
+        const fish = shell === 'fish';
+        const files = fish ? [profile] : [...new Set([profile, target.file])];
+        const exists = name => fish ? fishDefinitionExists(profile, name) : aliasExists(files, name);
 
-        const gpExists = await aliasExists(profile, gpAlias);
-        const gcExists = await aliasExists(profile, gcAlias);
+        const gpExists = await exists(gpAlias);
+        const gcExists = await exists(gcAlias);
 
         if ((gpExists || gcExists) && !overwrite) {
             const existingAliases = [];
@@ -129,45 +170,57 @@ export async function installAliases({ gpAlias, gcAlias, cli, model, overwrite =
             };
         }
 
-        // If overwriting, remove old aliases first
-        if (overwrite) {
-            if (gpExists) await removeExistingAlias(profile, gpAlias);
-            if (gcExists) await removeExistingAlias(profile, gcAlias);
-        }
-
-        await backupProfile(profile);
-
-        const gpContent = generateGpAlias({
-            aliasName: gpAlias,
-            cli,
-            model
-        });
-
-        const gcContent = generateGcAlias({
-            aliasName: gcAlias,
-            cli,
-            model
-        });
-
-        const timestamp = new Date().toISOString();
-        const aliasContent = `
-# ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-# AI Git Aliases - Added by @lvmk/git-alias
-# Provider: ${cli.name} | Model: ${model}
-# Generated: ${timestamp}
-# ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-${gpContent}
-
-${gcContent}
-`;
+        const title = 'AI Git Aliases - managed by @khanglvm/quick-alias (do not edit)';
+        const meta = {
+            Aliases: `${gpAlias}, ${gcAlias}`,
+            Provider: cli.name,
+            CLI: cli.id,
+            Model: model,
+            Generated: new Date().toISOString(),
+            Version: VERSION
+        };
 
-        await fs.appendFile(profile, aliasContent);
+        let written;
+        if (fish) {
+            written = await writeFishFunctions('git', {
+                title,
+                meta,
+                functions: {
+                    [gpAlias]: generateFishGpFunction({ aliasName: gpAlias, cli, model }),
+                    [gcAlias]: generateFishGcFunction({ aliasName: gcAlias, cli, model })
+                }
+            }, { dryRun });
+        } else {
+            const gpContent = generateGpAlias({
+                aliasName: gpAlias,
+                cli,
+                model
+            });
+
+            const gcContent = generateGcAlias({
+                aliasName: gcAlias,
+                cli,
+                model
+            });
+
+            // An alias with the same name (e.g. oh-my-zsh's gc) would be expanded
+            // inside "gc() {" and break the whole profile, so drop it first
+            const unalias = `unalias ${gpAlias} ${gcAlias} 2>/dev/null`;
+
+            const block = renderBlock('git', { title, meta, body: `${unalias}\n\n${gpContent}\n\n${gcContent}` });
+
+            // Replaces an existing git block in place; user-defined functions are left alone
+            written = await writeFeatureBlock(target, 'git', block, { dryRun });
+        }
 
         return {
             success: true,
             shell,
-            profile
+            profile,
+            file: target.file,
+            changes: written.changes,
+            backup: written.backup,
+            unmanaged: await findUnmanagedInFiles(files, [gpAlias, gcAlias])
         };
     } catch (error) {
         return {
@@ -1,15 +1,24 @@
 import { promises as fs } from 'fs';
-import { homedir } from 'os';
-import path from 'path';
-import { detectShellProfile } from './installer.js';
+import { resolveInstallTarget } from './installer.js';
+import { parseManagedBlocks, renderBlock } from './blocks.js';
+import { writeFeatureBlock, writeFishFunctions, findFishFunctionFiles } from './profile.js';
+import { VERSION } from './version.js';
 
 /**
- * pnpm Dev Aliases template
+ * .pnpmfile.cjs written by dev-install for workspaces
+ * Links workspace packages with workspace:* so pnpm resolves them locally
+ */
+const PNPMFILE_SOURCE = `const fs=require('fs'),path=require('path');
+function getWsPkgs(){const p=new Set();try{const d=['main',...fs.readdirSync('packages').map(x=>'packages/'+x)];for(const dir of d){const f=path.join(dir,'package.json');if(fs.existsSync(f)){const pkg=JSON.parse(fs.readFileSync(f,'utf8'));if(pkg.name)p.add(pkg.name)}}}catch(e){}return p}
+const ws=getWsPkgs();
+function readPackage(pkg){for(const t of['dependencies','devDependencies','peerDependencies']){if(pkg[t]){for(const[n,v]of Object.entries(pkg[t])){if(ws.has(n)&&!v.startsWith('workspace:'))pkg[t][n]='workspace:*'}}}return pkg}
+module.exports={hooks:{readPackage}};`;
+
+/**
+ * pnpm Dev Aliases template (body of the managed block)
  * Auto-detects yarn/npm and maintains lockfile compatibility
  */
-const PNPM_ALIASES_TEMPLATE = `
-# >>> pnpm-dev-aliases >>>
-# Space-saving dev install using pnpm's global store
+export const PNPM_ALIASES_TEMPLATE = `# Space-saving dev install using pnpm's global store
 # Commands: di (install), da (add), dr (remove)
 # Auto-detects yarn/npm based on lockfile. Maintains lockfile compatibility for team.
 
@@ -38,11 +47,7 @@ dev-install() {
         node -e "const p=require('./package.json');let w=p.workspaces;if(w&&w.packages)w=w.packages;if(Array.isArray(w)){console.log('packages:');w.forEach(x=>console.log('  - \"'+x+'\"'))}" > pnpm-workspace.yaml 2>/dev/null
         echo "\${D}Generating .pnpmfile.cjs...\${N}"
         cat > .pnpmfile.cjs << 'PF'
-const fs=require('fs'),path=require('path');
-function getWsPkgs(){const p=new Set();try{const d=['main',...fs.readdirSync('packages').map(x=>'packages/'+x)];for(const dir of d){const f=path.join(dir,'package.json');if(fs.existsSync(f)){const pkg=JSON.parse(fs.readFileSync(f,'utf8'));if(pkg.name)p.add(pkg.name)}}}catch(e){}return p}
-const ws=getWsPkgs();
-function readPackage(pkg){for(const t of['dependencies','devDependencies','peerDependencies']){if(pkg[t]){for(const[n,v]of Object.entries(pkg[t])){if(ws.has(n)&&!v.startsWith('workspace:'))pkg[t][n]='workspace:*'}}}return pkg}
-module.exports={hooks:{readPackage}};
+${PNPMFILE_SOURCE}
 PF
     fi
     grep -q "shamefully-hoist=true" .npmrc 2>/dev/null || echo "shamefully-hoist=true" >> .npmrc
@@ -80,45 +85,159 @@ dev-remove() {
 
 alias di="dev-install"
 alias da="dev-add"
-alias dr="dev-remove"
-# <<< pnpm-dev-aliases <<<
-`;
+alias dr="dev-remove"`;
 
 /**
- * Check if pnpm aliases already installed
+ * Quote a string for fish (single quotes: only \\ and \' are escapes)
  */
-async function pnpmAliasesExist(profilePath) {
-    try {
-        const content = await fs.readFile(profilePath, 'utf-8');
-        return content.includes('# >>> pnpm-dev-aliases >>>');
-    } catch {
-        return false;
-    }
+function fishQuote(text) {
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
 }
 
+const FISH_PNPM_COLORS = `    set -l G \\e'[0;32m'
+    set -l Y \\e'[1;33m'
+    set -l B \\e'[0;34m'
+    set -l N \\e'[0m'
+    set -l D \\e'[2m'`;
+
 /**
- * Remove existing pnpm aliases
+ * Fish version of the pnpm dev aliases, one autoloaded function per entry
  */
-async function removePnpmAliases(profilePath) {
-    try {
-        let content = await fs.readFile(profilePath, 'utf-8');
-        const pattern = /# >>> pnpm-dev-aliases >>>[\s\S]*?# <<< pnpm-dev-aliases <<<\n?/g;
-        content = content.replace(pattern, '');
-        content = content.replace(/\n{3,}/g, '\n\n');
-        await fs.writeFile(profilePath, content, 'utf-8');
-        return true;
-    } catch {
-        return false;
+export const PNPM_FISH_FUNCTIONS = {
+    '_detect_pm': `# Detect package manager based on lockfile
+function _detect_pm
+    if test -f yarn.lock
+        echo yarn
+    else if test -f package-lock.json
+        echo npm
+    else if test -f pnpm-lock.yaml
+        echo pnpm
+    else
+        echo npm
+    end
+end`,
+
+    'dev-install': `# Space-saving dev install using pnpm's global store
+function dev-install --description 'Install dependencies via pnpm (space-saving)'
+${FISH_PNPM_COLORS}
+    echo $B"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$N
+    echo "📦 Stealth pnpm Install (Space-Saving Mode)"
+    echo $B"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$N
+    if not command -v pnpm >/dev/null 2>&1
+        echo $Y"Installing pnpm..."$N
+        npm install -g pnpm
+    end
+    if test -d .git
+        mkdir -p .git/info
+        for f in pnpm-lock.yaml pnpm-workspace.yaml .pnpmfile.cjs .npmrc
+            grep -q "^$f\\$" .git/info/exclude 2>/dev/null; or echo $f >> .git/info/exclude
+        end
+    end
+    if test -f package.json; and grep -q '"workspaces"' package.json 2>/dev/null
+        echo $D"Generating pnpm-workspace.yaml..."$N
+        node -e 'const p=require("./package.json");let w=p.workspaces;if(w&&w.packages)w=w.packages;if(Array.isArray(w)){console.log("packages:");w.forEach(x=>console.log("  - \\""+x+"\\""))}' > pnpm-workspace.yaml 2>/dev/null
+        echo $D"Generating .pnpmfile.cjs..."$N
+        printf '%s\\n' ${fishQuote(PNPMFILE_SOURCE)} > .pnpmfile.cjs
+    end
+    grep -q "shamefully-hoist=true" .npmrc 2>/dev/null; or echo "shamefully-hoist=true" >> .npmrc
+    echo ""
+    echo $Y"Installing via pnpm..."$N
+    echo $D"(Using global store)"$N
+    echo ""
+    set -gx COREPACK_ENABLE_STRICT 0
+    pnpm install 2>&1 | tail -20
+    echo ""
+    echo $G"✨ Done! Use yarn/npm commands as normal."$N
+end`,
+
+    'dev-add': `function dev-add --description 'Add dependency (auto-detects yarn/npm), reinstall via pnpm'
+${FISH_PNPM_COLORS}
+    set -l PM (_detect_pm)
+    if test (count $argv) -eq 0
+        echo "Usage: da [-D|-W] <package>"
+        return 1
+    end
+    echo $B"Detected: $PM"$N
+    echo $Y"Adding via $PM..."$N
+    switch $PM
+        case yarn
+            yarn add $argv
+        case npm
+            npm install $argv
+        case '*'
+            pnpm add $argv
+    end
+    echo ""
+    dev-install
+    echo $G"✓ $PM lockfile updated, installed via pnpm"$N
+end`,
+
+    'dev-remove': `function dev-remove --description 'Remove dependency (auto-detects yarn/npm), reinstall via pnpm'
+${FISH_PNPM_COLORS}
+    set -l PM (_detect_pm)
+    if test (count $argv) -eq 0
+        echo "Usage: dr [-W] <package>"
+        return 1
+    end
+    echo $B"Detected: $PM"$N
+    echo $Y"Removing via $PM..."$N
+    switch $PM
+        case yarn
+            yarn remove $argv
+        case npm
+            npm uninstall $argv
+        case '*'
+            pnpm remove $argv
+    end
+    echo ""
+    dev-install
+    echo $G"✓ $PM lockfile updated, installed via pnpm"$N
+end`,
+
+    di: `function di --wraps dev-install --description 'Install dependencies via pnpm (space-saving)'
+    dev-install $argv
+end`,
+
+    da: `function da --wraps dev-add --description 'Add dependency, reinstall via pnpm'
+    dev-add $argv
+end`,
+
+    dr: `function dr --wraps dev-remove --description 'Remove dependency, reinstall via pnpm'
+    dev-remove $argv
+end`
+};
+
+/**
+ * Check if pnpm aliases already installed in any of the files (tagged or pre-tag markers)
+ */
+async function pnpmAliasesExist(files) {
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(file, 'utf-8');
+            if (parseManagedBlocks(content).some(block => block.feature === 'pnpm')) return true;
+        } catch {
+            // Missing file has no aliases
+        }
     }
+    return false;
 }
 
 /**
  * Install pnpm dev aliases
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite]
+ * @param {boolean} [options.initFile] - Write to the dedicated init file
+ * @param {string} [options.profile] - Profile to install into
+ * @param {boolean} [options.dryRun] - Only compute the changes
  */
-export async function installPnpmAliases({ overwrite = false } = {}) {
+export async function installPnpmAliases({ overwrite = false, initFile = false, profile: profilePath, dryRun = false } = {}) {
     try {
-        const { shell, profile } = await detectShellProfile();
-        const exists = await pnpmAliasesExist(profile);
+        const target = await resolveInstallTarget({ initFile, profile: profilePath });
+        const { shell, profile } = target;
+        const fish = shell === 'fish';
+        const exists = fish
+            ? (await findFishFunctionFiles('pnpm')).length > 0
+            : await pnpmAliasesExist([...new Set([profile, target.file])]);
 
         if (exists && !overwrite) {
             return {
@@ -128,17 +247,25 @@ export async function installPnpmAliases({ overwrite = false } = {}) {
             };
         }
 
-        if (overwrite && exists) {
-            await removePnpmAliases(profile);
-        }
-
         // Install pnpm if not present (check will happen in the alias itself)
-        await fs.appendFile(profile, PNPM_ALIASES_TEMPLATE);
+        const title = 'Stealth pnpm Aliases - managed by @khanglvm/quick-alias (do not edit)';
+        const meta = {
+            Aliases: 'di, da, dr',
+            Generated: new Date().toISOString(),
+            Version: VERSION
+        };
+
+        const { changes, backup } = fish
+            ? await writeFishFunctions('pnpm', { title, meta, functions: PNPM_FISH_FUNCTIONS }, { dryRun })
+            : await writeFeatureBlock(target, 'pnpm', renderBlock('pnpm', { title, meta, body: PNPM_ALIASES_TEMPLATE }), { dryRun });
 
         return {
             success: true,
             shell,
-            profile
+            profile,
+            file: target.file,
+            changes,
+            backup
         };
     } catch (error) {
         return {
@@ -0,0 +1,296 @@
+/**
+ * Profile - read and rewrite shell profiles through a single path
+ */
+
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+import {
+    renderBlock,
+    isSameBlock,
+    upsertBlock,
+    removeBlocks,
+    parseManagedBlocks,
+    unmanagedContent,
+    escapeRegExp,
+    findUnmanagedDefinitions
+} from './blocks.js';
+import { createBackup, getBackup, planRestore } from './backups.js';
+import { checkSyntax, checkSyntaxFile, describeSyntaxError } from './syntax.js';
+import { VERSION } from './version.js';
+
+export const CONFIG_DIR = path.join(homedir(), '.config', 'quick-alias');
+export const FISH_CONFIG_DIR = path.join(homedir(), '.config', 'fish');
+export const FISH_FUNCTIONS_DIR = path.join(FISH_CONFIG_DIR, 'functions');
+
+/**
+ * Directory holding the zsh startup files (ZDOTDIR, falling back to home)
+ */
+export function getZshDir() {
+    return process.env.ZDOTDIR || homedir();
+}
+
+/**
+ * Infer which shell reads a profile from its file name
+ * @param {string} profilePath
+ * @returns {'zsh'|'bash'|'fish'}
+ */
+export function shellForProfile(profilePath) {
+    const name = path.basename(profilePath);
+    if (name.endsWith('.fish')) return 'fish';
+    if (name.endsWith('.zsh')) return 'zsh';
+    if (/^\.?z(sh|profile|login)/.test(name)) return 'zsh';
+    return 'bash';
+}
+
+/**
+ * Path of the dedicated file quick-alias owns for a shell
+ * @param {string} shell - 'zsh' or 'bash'
+ */
+export function getInitFilePath(shell) {
+    return path.join(CONFIG_DIR, `init.${shell}`);
+}
+
+/**
+ * Read a shell profile, treating a missing file as empty
+ * @param {string} profilePath
+ * @returns {Promise<string>}
+ */
+export async function readProfile(profilePath) {
+    try {
+        return await fs.readFile(profilePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+    }
+}
+
+/**
+ * A pending change to one file; after === null deletes the file
+ * @typedef {{file: string, before: string, after: string|null}} FileChange
+ */
+
+/**
+ * Compute a content transform for a profile without writing it
+ * @param {string} profilePath
+ * @param {(content: string) => string} transform
+ * @returns {Promise<FileChange|null>} null when the content stays the same
+ */
+export async function planProfileChange(profilePath, transform) {
+    const before = await readProfile(profilePath);
+    const after = transform(before);
+    return after === before ? null : { file: profilePath, before, after };
+}
+
+/**
+ * Write changes without any checks
+ * @param {FileChange[]} changes
+ */
+async function writeChanges(changes) {
+    for (const { file, after } of changes) {
+        if (after === null) {
+            await fs.rm(file, { force: true });
+            continue;
+        }
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, after, 'utf-8');
+    }
+}
+
+/**
+ * Parse every changed file with its shell before anything is written
+ * A profile that was already broken is not quick-alias's doing, so for those
+ * only the managed blocks are checked. Everything outside the blocks has to
+ * come through unchanged
+ * @param {FileChange[]} changes
+ * @returns {Promise<string[]>} Files whose full content passed, to re-check after writing
+ * @throws {Error} With the offending line when generated code does not parse
+ */
+async function validateChanges(changes) {
+    const verified = [];
+
+    for (const { file, before, after } of changes) {
+        if (after === null) continue;
+
+        if (unmanagedContent(before) !== unmanagedContent(after)) {
+            throw new Error(`Refusing to write ${file}: content outside the quick-alias blocks would change`);
+        }
+
+        const shell = shellForProfile(file);
+        const result = await checkSyntax(shell, after);
+        if (result.ok) {
+            if (!result.skipped) verified.push(file);
+            continue;
+        }
+
+        let content = after;
+        let failure = result;
+        if (before && !(await checkSyntax(shell, before)).ok) {
+            content = parseManagedBlocks(after).map(block => block.text).join('\n');
+            failure = await checkSyntax(shell, content);
+            if (failure.ok) continue;
+        }
+
+        throw new Error(`Refusing to write code that fails ${shell} syntax check:\n${describeSyntaxError(file, content, failure)}`);
+    }
+
+    return verified;
+}
+
+/**
+ * Write planned changes to disk, backing up every affected file first
+ * Changed files are syntax-checked before writing and again afterwards; a
+ * failure after writing restores the backup
+ * @param {FileChange[]} changes
+ * @param {Object} [options]
+ * @param {string} [options.operation] - Recorded in the backup manifest
+ * @param {boolean} [options.validate] - Syntax-check the result (off when restoring a backup)
+ * @returns {Promise<string|null>} Backup ID, null when there was nothing to change
+ */
+export async function applyChanges(changes, { operation, validate = true } = {}) {
+    if (changes.length === 0) return null;
+
+    const verified = validate ? await validateChanges(changes) : [];
+    const backup = await createBackup(changes.map(change => change.file), { operation });
+    await writeChanges(changes);
+
+    for (const file of verified) {
+        const result = await checkSyntaxFile(shellForProfile(file), file);
+        if (result.ok) continue;
+
+        await writeChanges(await planRestore(await getBackup(backup)));
+        throw new Error(`${describeSyntaxError(file, await readProfile(file), result)}\n` +
+            `Restored the previous version from backup ${backup}`);
+    }
+
+    return backup;
+}
+
+/**
+ * Render the profile block that loads the init file
+ * Uses $HOME so dotfile repos stay portable between machines
+ */
+export function renderSourceBlock(initFile) {
+    const home = homedir();
+    const target = initFile.startsWith(home + path.sep)
+        ? `$HOME${initFile.slice(home.length)}`
+        : initFile;
+
+    return renderBlock('init', {
+        title: 'quick-alias loader - managed by @khanglvm/quick-alias (do not edit)',
+        meta: { Version: VERSION },
+        body: `[ -f "${target}" ] && source "${target}"`
+    });
+}
+
+/**
+ * Write a feature block to its install target
+ * With an init file, the block goes there, the profile only gets the source
+ * line, and any copy of the feature left in the profile is removed
+ * @param {{profile: string, file: string}} target - From resolveInstallTarget
+ * @param {string} id - Feature/block ID
+ * @param {string} blockText - Output of renderBlock
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only compute the changes
+ * @returns {Promise<{changes: FileChange[], backup: string|null}>}
+ */
+export async function writeFeatureBlock(target, id, blockText, { dryRun = false } = {}) {
+    const changes = [await planProfileChange(target.file, content => upsertBlock(content, id, blockText))];
+
+    if (target.file !== target.profile) {
+        changes.push(await planProfileChange(target.profile, content => {
+            const moved = parseManagedBlocks(content).filter(block => block.feature === id);
+            return upsertBlock(removeBlocks(content, moved), 'init', renderSourceBlock(target.file));
+        }));
+    }
+
+    const planned = changes.filter(Boolean);
+    const backup = dryRun ? null : await applyChanges(planned, { operation: `install ${id}` });
+    return { changes: planned, backup };
+}
+
+/**
+ * Names defined by the user outside quick-alias blocks in any of the files
+ * @param {string[]} files
+ * @param {string[]} names
+ * @returns {Promise<string[]>}
+ */
+export async function findUnmanagedInFiles(files, names) {
+    const found = new Set();
+    for (const file of files) {
+        const content = await readProfile(file);
+        findUnmanagedDefinitions(content, names).forEach(name => found.add(name));
+    }
+    return [...found];
+}
+
+/**
+ * Fish function files that contain quick-alias blocks, optionally for one feature
+ * @param {string} [id] - Feature/block ID
+ * @returns {Promise<string[]>}
+ */
+export async function findFishFunctionFiles(id) {
+    let entries;
+    try {
+        entries = await fs.readdir(FISH_FUNCTIONS_DIR);
+    } catch {
+        return [];
+    }
+
+    const files = [];
+    for (const entry of entries.filter(name => name.endsWith('.fish')).sort()) {
+        const file = path.join(FISH_FUNCTIONS_DIR, entry);
+        const blocks = parseManagedBlocks(await readProfile(file));
+        if (blocks.some(block => !id || block.feature === id)) files.push(file);
+    }
+    return files;
+}
+
+/**
+ * Check whether a fish function or alias is already defined
+ * Looks at the autoload file and at config.fish, outside our own managed blocks
+ */
+export async function fishDefinitionExists(configPath, name) {
+    try {
+        const autoload = await fs.readFile(path.join(FISH_FUNCTIONS_DIR, `${name}.fish`), 'utf-8');
+        if (unmanagedContent(autoload).trim()) return true;
+    } catch {
+        // No autoload file
+    }
+
+    const content = await readProfile(configPath);
+    return new RegExp(`^\\s*(function|alias)\\s+${escapeRegExp(name)}\\b`, 'm').test(unmanagedContent(content));
+}
+
+/**
+ * Write a feature as fish autoload functions, one ~/.config/fish/functions/<name>.fish each
+ * Every file holds a single managed block; files from a previous install of the
+ * feature that are no longer generated are removed, unchanged ones are left alone
+ * @param {string} id - Feature/block ID
+ * @param {Object} options
+ * @param {string} options.title - Block title
+ * @param {Object<string, string>} options.meta - Block metadata
+ * @param {Object<string, string>} options.functions - Function name → fish source
+ * @param {Object} [writeOptions]
+ * @param {boolean} [writeOptions.dryRun] - Only compute the changes
+ * @returns {Promise<{changes: FileChange[], backup: string|null}>}
+ */
+export async function writeFishFunctions(id, { title, meta, functions }, { dryRun = false } = {}) {
+    const previous = await findFishFunctionFiles(id);
+    const changes = [];
+
+    for (const [name, body] of Object.entries(functions)) {
+        const file = path.join(FISH_FUNCTIONS_DIR, `${name}.fish`);
+        const before = await readProfile(file);
+        const after = `${renderBlock(id, { title, meta, body })}\n`;
+        if (!isSameBlock(before, after)) changes.push({ file, before, after });
+    }
+
+    const generated = Object.keys(functions).map(name => path.join(FISH_FUNCTIONS_DIR, `${name}.fish`));
+    for (const file of previous.filter(f => !generated.includes(f))) {
+        changes.push({ file, before: await readProfile(file), after: null });
+    }
+
+    const backup = dryRun ? null : await applyChanges(changes, { operation: `install ${id}` });
+    return { changes, backup };
+}
@@ -1,50 +1,50 @@
 import { promises as fs } from 'fs';
-import { detectShellProfile } from './installer.js';
+import { resolveInstallTarget } from './installer.js';
+import { renderBlock, unmanagedContent, escapeRegExp } from './blocks.js';
+import { writeFeatureBlock, writeFishFunctions, fishDefinitionExists, findUnmanagedInFiles } from './profile.js';
+import { VERSION } from './version.js';
 
 /**
- * Check if alias exists in profile
+ * Check if alias exists in any of the given files
+ * Our own managed blocks don't count: installing again replaces them in place
  */
-async function aliasExists(profilePath, aliasName) {
-    try {
-        const content = await fs.readFile(profilePath, 'utf-8');
-        // Check for alias or function
-        const aliasPattern = new RegExp(`^alias\\s+${aliasName}=`, 'm');
-        const funcPattern = new RegExp(`^${aliasName}\\s*\\(\\s*\\)\\s*\\{`, 'm');
-        return aliasPattern.test(content) || funcPattern.test(content);
-    } catch {
-        return false;
-    }
-}
-
-/**
- * Remove existing alias from profile
- */
-async function removeExistingAlias(profilePath, aliasName) {
-    try {
-        let content = await fs.readFile(profilePath, 'utf-8');
+async function aliasExists(files, aliasName) {
+    // Check for alias or function
+    const escaped = escapeRegExp(aliasName);
+    const aliasPattern = new RegExp(`^alias\\s+${escaped}=`, 'm');
+    const funcPattern = new RegExp(`^${escaped}\\s*\\(\\s*\\)\\s*\\{`, 'm');
 
-        // Remove alias line
-        const aliasPattern = new RegExp(`^alias\\s+${aliasName}=[^\\n]*\\n?`, 'gm');
-        content = content.replace(aliasPattern, '');
-
-        // Clean up empty lines
-        content = content.replace(/\n{3,}/g, '\n\n');
-
-        await fs.writeFile(profilePath, content, 'utf-8');
-        return true;
-    } catch {
-        return false;
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(file, 'utf-8');
+            const unmanaged = unmanagedContent(content);
+            if (aliasPattern.test(unmanaged) || funcPattern.test(unmanaged)) return true;
+        } catch {
+            // Missing file has no aliases
+        }
     }
+    return false;
 }
 
 /**
  * Install shell reload alias
+ * @param {string} aliasName
+ * @param {boolean} [overwrite]
+ * @param {Object} [options]
+ * @param {boolean} [options.initFile] - Write to the dedicated init file
+ * @param {string} [options.profile] - Profile to install into
+ * @param {boolean} [options.dryRun] - Only compute the changes
  */
-export async function installReloadAlias(aliasName, overwrite = false) {
+export async function installReloadAlias(aliasName, overwrite = false, { initFile = false, profile: profilePath, dryRun = false } = {}) {
     try {
-        const { shell, profile } = await detectShellProfile();
+        const target = await resolveInstallTarget({ initFile, profile: profilePath });
+        const { shell, profile } = target;
+        const fish = shell === 'fish';
+        const files = fish ? [profile] : [...new Set([profile, target.file])];
 
-        const exists = await aliasExists(profile, aliasName);
+        const exists = fish
+            ? await fishDefinitionExists(profile, aliasName)
+            : await aliasExists(files, aliasName);
 
         if (exists && !overwrite) {
             return {
@@ -54,26 +54,39 @@ export async function installReloadAlias(aliasName, overwrite = false) {
             };
         }
 
-        if (exists && overwrite) {
-            await removeExistingAlias(profile, aliasName);
-        }
-
-        // Generate the alias
-        const timestamp = new Date().toISOString();
-        const aliasContent = `
-# ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-# Shell Reload Alias - Added by @lvmk/quick-alias
-# Generated: ${timestamp}
-# ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-alias ${aliasName}="source ${profile}"
-`;
+        const title = 'Shell Reload Alias - managed by @khanglvm/quick-alias (do not edit)';
+        const meta = {
+            Aliases: aliasName,
+            Generated: new Date().toISOString(),
+            Version: VERSION
+        };
 
-        await fs.appendFile(profile, aliasContent);
+        let written;
+        if (fish) {
+            written = await writeFishFunctions('reload', {
+                title,
+                meta,
+                functions: {
+                    [aliasName]: `function ${aliasName} --description 'Reload fish configuration'\n    source ${profile}\nend`
+                }
+            }, { dryRun });
+        } else {
+            // Replaces an existing reload block in place; user-defined aliases are left alone
+            written = await writeFeatureBlock(target, 'reload', renderBlock('reload', {
+                title,
+                meta,
+                body: `alias ${aliasName}="source ${profile}"`
+            }), { dryRun });
+        }
 
         return {
             success: true,
             shell,
-            profile
+            profile,
+            file: target.file,
+            changes: written.changes,
+            backup: written.backup,
+            unmanaged: await findUnmanagedInFiles(files, [aliasName])
         };
     } catch (error) {
         return {
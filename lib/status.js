@@ -0,0 +1,105 @@
+/**
+ * Status - inventory of quick-alias features installed in a shell profile
+ */
+
+import { promises as fs } from 'fs';
+import { parseManagedBlocks, countDefinitions } from './blocks.js';
+import { CLI_INFO } from './detector.js';
+import { PNPM_ALIASES_TEMPLATE } from './pnpm-aliases.js';
+import { generateGpAlias, generateGcAlias } from '../templates/aliases.js';
+import { VERSION } from './version.js';
+
+export const FEATURE_NAMES = {
+    git: 'AI Git Aliases',
+    reload: 'Shell Reload',
+    pnpm: 'Stealth pnpm',
+    init: 'Init file loader'
+};
+
+/**
+ * Compare a block written before checksums existed against the current template
+ * @returns {boolean|null} true if it differs, null if it can't be regenerated
+ */
+function legacyBlockDiffers(block) {
+    if (block.orphaned) return null;
+
+    if (block.feature === 'git') {
+        const cli = Object.values(CLI_INFO).find(c => c.name === block.meta.provider);
+        if (!cli || block.aliases.length !== 2) return null;
+
+        const [gpAlias, gcAlias] = block.aliases;
+        const expected = `${generateGpAlias({ aliasName: gpAlias, cli, model: block.meta.model })}\n\n` +
+            generateGcAlias({ aliasName: gcAlias, cli, model: block.meta.model });
+        return expected !== block.body.trim();
+    }
+
+    if (block.feature === 'reload') {
+        return !/^alias [\w.:-]+="source [^"]+"$/.test(block.body.trim());
+    }
+
+    if (block.feature === 'pnpm') {
+        return PNPM_ALIASES_TEMPLATE.trim() !== block.body.trim();
+    }
+
+    return null;
+}
+
+/**
+ * The init file a loader block sources, as written in the profile (e.g. $HOME/...)
+ */
+function sourcedFile(block) {
+    return block.feature === 'init' ? block.body.match(/\bsource\s+"?([^"\s]+)"?/)?.[1] || null : null;
+}
+
+/**
+ * Get the status of every managed block in the given files
+ * Duplicates are counted across all files, since they are loaded into the same shell
+ * @param {string[]} files - Profile and, when used, the init file
+ * @returns {Promise<Array<{profile: string, exists: boolean, features: Array}>>}
+ */
+export async function getStatus(files) {
+    const contents = [];
+    for (const file of files) {
+        try {
+            contents.push(await fs.readFile(file, 'utf-8'));
+        } catch {
+            contents.push(null);
+        }
+    }
+    const combined = contents.filter(content => content !== null).join('\n');
+
+    return files.map((file, index) => {
+        const content = contents[index];
+        if (content === null) {
+            return { profile: file, exists: false, features: [] };
+        }
+
+        const features = parseManagedBlocks(content).map(block => {
+            const modified = block.modified ?? legacyBlockDiffers(block);
+            const duplicates = block.aliases.filter(name => countDefinitions(combined, name) > 1);
+
+            return {
+                feature: block.feature,
+                name: FEATURE_NAMES[block.feature] || block.feature,
+                aliases: block.aliases,
+                sources: sourcedFile(block),
+                provider: block.meta.provider || null,
+                model: block.meta.model || null,
+                generated: block.meta.generated || null,
+                version: block.meta.version || null,
+                // Regenerated by `quick-alias upgrade`; the loader block has no template to update
+                outdated: block.feature !== 'init' && !block.orphaned && block.meta.version !== VERSION,
+                line: block.start + 1,
+                orphaned: block.orphaned,
+                unterminated: block.unterminated,
+                // Legacy blocks are only compared against the current template,
+                // so a difference may also mean an older quick-alias version
+                modified,
+                verified: block.modified !== null,
+                duplicates
+            };
+        });
+
+        return { profile: file, exists: true, features };
+    });
+}
@@ -0,0 +1,72 @@
+/**
+ * Syntax - parse generated shell code with the real shell before it reaches a profile
+ */
+
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Parse-only invocations: nothing in the file is executed
+const CHECKERS = {
+    zsh: ['zsh', ['-n']],
+    bash: ['bash', ['-n']],
+    fish: ['fish', ['--no-execute']]
+};
+
+/**
+ * Parse a file with the given shell without running it
+ * @param {'zsh'|'bash'|'fish'} shell
+ * @param {string} file
+ * @returns {Promise<{ok: boolean, skipped?: boolean, line?: number|null, message?: string}>}
+ *   skipped when the shell is not installed
+ */
+export async function checkSyntaxFile(shell, file) {
+    const [command, args] = CHECKERS[shell];
+
+    try {
+        await execFileAsync(command, [...args, file], { timeout: 10000 });
+        return { ok: true };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { ok: true, skipped: true };
+
+        const message = (error.stderr || error.message).trim().split('\n')[0];
+        // bash: "file: line 12: ...", zsh: "file:12: ...", fish: "file (line 12): ..."
+        const match = message.match(/(?::|line) ?(\d+)\)?:/);
+        return { ok: false, line: match ? Number(match[1]) : null, message };
+    }
+}
+
+/**
+ * Parse shell code held in memory
+ * @param {'zsh'|'bash'|'fish'} shell
+ * @param {string} content
+ */
+export async function checkSyntax(shell, content) {
+    const dir = await fs.mkdtemp(path.join(tmpdir(), 'quick-alias-'));
+    const file = path.join(dir, `check.${shell}`);
+
+    try {
+        await fs.writeFile(file, content, 'utf-8');
+        return await checkSyntaxFile(shell, file);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Describe a failed check, quoting the offending line
+ * @param {string} file - Profile the content was meant for
+ * @param {string} content - Content that was checked
+ * @param {{line?: number|null, message?: string}} result
+ */
+export function describeSyntaxError(file, content, result) {
+    const reason = result.message.replace(/^.*?(?:line \d+\)?|:\d+):\s*/, '');
+    if (!result.line) return `${file}: ${reason}`;
+
+    const source = content.split('\n')[result.line - 1] ?? '';
+    return `${file}:${result.line}: ${reason}\n    ${result.line} | ${source.trim()}`;
+}
@@ -0,0 +1,88 @@
+/**
+ * Targets - which shell profiles an install or uninstall applies to
+ */
+
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import path from 'path';
+import { detectShellProfile } from './installer.js';
+import { getZshDir, shellForProfile, FISH_CONFIG_DIR } from './profile.js';
+
+/**
+ * Every rc file quick-alias knows how to manage
+ * Login profiles are read by login shells (macOS terminals, SSH), rc files by
+ * interactive non-login shells; fish reads config.fish in both cases
+ */
+function getProfileCandidates() {
+    const home = homedir();
+    return [
+        { shell: 'zsh', profile: path.join(getZshDir(), '.zshrc'), kind: 'interactive' },
+        { shell: 'zsh', profile: path.join(getZshDir(), '.zprofile'), kind: 'login' },
+        { shell: 'bash', profile: path.join(home, '.bashrc'), kind: 'interactive' },
+        { shell: 'bash', profile: path.join(home, '.bash_profile'), kind: 'login' },
+        { shell: 'fish', profile: path.join(FISH_CONFIG_DIR, 'config.fish'), kind: 'login and interactive' }
+    ];
+}
+
+/**
+ * Detect the profiles present on this machine
+ * The default profile for $SHELL comes first and is included even if it does not exist yet
+ * @returns {Promise<Array<{shell: string, profile: string, kind: string, exists: boolean, isDefault: boolean}>>}
+ */
+export async function detectProfiles() {
+    const { profile: defaultProfile } = await detectShellProfile();
+    const profiles = [];
+
+    for (const candidate of getProfileCandidates()) {
+        let exists = true;
+        try {
+            await fs.access(candidate.profile);
+        } catch {
+            exists = false;
+        }
+
+        const isDefault = candidate.profile === defaultProfile;
+        if (exists || isDefault) {
+            profiles.push({ ...candidate, exists, isDefault });
+        }
+    }
+
+    return profiles.sort((a, b) => b.isDefault - a.isDefault);
+}
+
+/**
+ * Expand ~ and make a user-supplied profile path absolute
+ */
+export function expandProfilePath(profilePath) {
+    if (profilePath === '~' || profilePath.startsWith('~/')) {
+        return path.join(homedir(), profilePath.slice(1));
+    }
+    return path.resolve(profilePath);
+}
+
+/**
+ * Resolve the profiles an operation applies to
+ * @param {Object} [options]
+ * @param {string[]} [options.profiles] - Explicit --profile paths
+ * @param {boolean} [options.all] - Every detected profile
+ * @returns {Promise<Array<{shell: string, profile: string}>>}
+ */
+export async function resolveTargets({ profiles = [], all = false } = {}) {
+    const targets = profiles.map(expandProfilePath)
+        .map(profile => ({ shell: shellForProfile(profile), profile }));
+
+    if (all) {
+        for (const { shell, profile } of await detectProfiles()) {
+            targets.push({ shell, profile });
+        }
+    }
+
+    if (targets.length === 0) {
+        const { shell, profile } = await detectShellProfile();
+        targets.push({ shell, profile });
+    }
+
+    // Drop duplicates while keeping order
+    return targets.filter((target, index) =>
+        targets.findIndex(t => t.profile === target.profile) === index);
+}
@@ -0,0 +1,63 @@
+/**
+ * Uninstall - remove quick-alias generated blocks from a shell profile
+ */
+
+import { promises as fs } from 'fs';
+import { parseManagedBlocks, removeBlocks } from './blocks.js';
+import { applyChanges } from './profile.js';
+
+export const UNINSTALL_FEATURES = ['git', 'reload', 'pnpm'];
+
+/**
+ * Find the blocks that uninstalling the given features would remove
+ * @param {string} profilePath
+ * @param {string[]} features - Subset of UNINSTALL_FEATURES
+ * @returns {Promise<{profile: string, blocks: Array, content: string|null}>}
+ */
+export async function planUninstall(profilePath, features) {
+    let content;
+    try {
+        content = await fs.readFile(profilePath, 'utf-8');
+    } catch {
+        return { profile: profilePath, blocks: [], content: null };
+    }
+
+    const blocks = parseManagedBlocks(content).filter(block => features.includes(block.feature));
+    return { profile: profilePath, blocks, content };
+}
+
+/**
+ * Remove the given features from a profile, taking a backup first
+ * @param {string} profilePath
+ * @param {string[]} features
+ * @param {Object} [options]
+ * @param {boolean} [options.removeIfEmpty] - Delete the file when nothing is left (init file)
+ * @param {boolean} [options.dryRun] - Only compute the changes
+ * @returns {Promise<{success: boolean, removed?: Array, backup?: string|null, changes?: Array, error?: string}>}
+ */
+export async function uninstallFeatures(profilePath, features, { removeIfEmpty = false, dryRun = false } = {}) {
+    try {
+        const { blocks, content } = await planUninstall(profilePath, features);
+
+        if (blocks.length === 0) {
+            return { success: true, removed: [], backup: null, changes: [], profile: profilePath };
+        }
+
+        const remaining = removeBlocks(content, blocks);
+        const changes = [{
+            file: profilePath,
+            before: content,
+            after: removeIfEmpty && remaining.trim() === '' ? null : remaining
+        }];
+
+        if (dryRun) {
+            return { success: true, removed: blocks, backup: null, changes, profile: profilePath };
+        }
+
+        const backup = await applyChanges(changes, { operation: `uninstall ${features.join(', ')}` });
+
+        return { success: true, removed: blocks, backup, changes, profile: profilePath };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
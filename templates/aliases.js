@@ -1,7 +1,8 @@
 /**
  * Build the CLI command string for the template based on provider
+ * Works unchanged in bash, zsh and fish
  */
-function buildCLICommand(cli, model) {
+export function buildCLICommand(cli, model) {
     switch (cli.id) {
         case 'claude':
             return `claude --print --model ${model} --dangerously-skip-permissions "$prompt"`;
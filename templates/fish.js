@@ -0,0 +1,332 @@
+import { buildCLICommand } from './aliases.js';
+
+/**
+ * Color variables shared by the fish functions
+ * Escape sequences rather than set_color, so they are never empty lists
+ */
+const FISH_COLORS = `    set -l GREEN \\e'[0;32m'
+    set -l YELLOW \\e'[1;33m'
+    set -l BLUE \\e'[0;34m'
+    set -l RED \\e'[0;31m'
+    set -l NC \\e'[0m'
+    set -l BOLD \\e'[1m'
+    set -l DIM \\e'[2m'`;
+
+/**
+ * Argument handling shared by gp/gc: "-r" enables review mode, the rest is the message
+ */
+const FISH_ARGS = `    set -l review_mode false
+
+    if test "$argv[1]" = "-r"
+        set review_mode true
+        set -e argv[1]
+    end
+    set -l user_message (string join " " -- $argv)`;
+
+/**
+ * Run the AI CLI and review/edit the message (shared by gp/gc)
+ */
+function fishGenerateMessage(cli, cliCommand) {
+    return `        echo $YELLOW"[2/4]"$NC" 🤖 Generating commit message with ${cli.name}..."
+        echo $DIM"     (this may take a few seconds...)"$NC
+
+        set -l temp_file (mktemp)
+        set -l error_file (mktemp)
+
+        ${cliCommand} > $temp_file 2> $error_file
+        set -l exit_code $status
+
+        if test $exit_code -ne 0; or not test -s $temp_file
+            echo $RED"Error:"$NC" Failed to generate commit message"
+            cat $error_file 2>/dev/null
+            rm -f $temp_file $error_file
+            return 1
+        end
+
+        set commit_message (cat $temp_file | string collect)
+        rm -f $temp_file $error_file
+
+        echo ""
+        echo $GREEN"Generated Commit Message:"$NC
+        echo "$commit_message"
+
+        if test "$review_mode" = true
+            echo ""
+            read -l -P $YELLOW"Proceed with this commit message? [Y/n/e(dit)]: "$NC confirm
+
+            switch "$confirm"
+                case n N
+                    echo $YELLOW"Aborted."$NC
+                    return 0
+                case e E
+                    set -l edit_file (mktemp)
+                    echo "$commit_message" > $edit_file
+                    set -l editor $EDITOR
+                    test -n "$editor"; or set editor vim
+                    $editor $edit_file
+                    set commit_message (cat $edit_file | string collect)
+                    rm -f $edit_file
+            end
+        end`;
+}
+
+/**
+ * Generate the gp (git push) function for fish
+ */
+export function generateFishGpFunction({ aliasName, cli, model }) {
+    const cliCommand = buildCLICommand(cli, model);
+
+    return `# Git Push with AI Commit Message (${aliasName} alias)
+# Provider: ${cli.name} | Model: ${model}
+function ${aliasName} --description 'Stage all, AI commit message, push'
+${FISH_COLORS}
+
+${FISH_ARGS}
+
+    if not command -v git >/dev/null 2>&1
+        echo $RED"Error:"$NC" git is not installed"
+        return 1
+    end
+
+    if not git rev-parse --is-inside-work-tree >/dev/null 2>&1
+        echo $RED"Error:"$NC" Not a git repository"
+        return 1
+    end
+
+    if git ls-files -u | grep -q .
+        echo $RED"Error:"$NC" Unresolved merge conflicts"
+        return 1
+    end
+
+    set -l current_branch (git branch --show-current 2>/dev/null)
+    if test -z "$current_branch"
+        echo $RED"Error:"$NC" Detached HEAD state"
+        return 1
+    end
+
+    set -l has_changes false
+    git diff --cached --quiet; or set has_changes true
+    git diff --quiet; or set has_changes true
+    set -l untracked (git ls-files --others --exclude-standard 2>/dev/null | head -1)
+    test -n "$untracked"; and set has_changes true
+
+    if test "$has_changes" = false
+        echo $YELLOW"Nothing to commit"$NC" - working tree clean"
+        set -l unpushed (git log '@{u}..' --oneline 2>/dev/null | wc -l | string trim)
+        if test -n "$unpushed"; and test "$unpushed" -gt 0
+            echo $DIM"You have $unpushed unpushed commit(s)"$NC
+            read -l -P $YELLOW"Push existing commits? [Y/n]: "$NC push_only
+            if not string match -qr '^[nN]' -- "$push_only"
+                git push origin $current_branch 2>&1; and echo $GREEN"✓ Pushed"$NC
+            end
+        end
+        return 0
+    end
+
+    set -l skip_push false
+    if not git remote get-url origin >/dev/null 2>&1
+        echo $YELLOW"Warning:"$NC" No remote 'origin' configured"
+        set skip_push true
+    end
+
+    echo $BOLD$BLUE"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+    echo $BOLD"🚀 Git Push with AI Commit Message"$NC
+    echo $BOLD$BLUE"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+
+    set -l commit_message ""
+
+    if test -n "$user_message"
+        echo ""
+        echo $GREEN"✓"$NC" Using provided commit message"
+        set commit_message "$user_message"
+    else
+        if not command -v ${cli.command} >/dev/null 2>&1
+            echo $RED"Error:"$NC" ${cli.name} is not installed"
+            return 1
+        end
+
+        echo ""
+        echo $YELLOW"[1/4]"$NC" 🔍 Analyzing git changes..."
+
+        set -l staged_diff (git diff --cached 2>/dev/null | head -500 | string collect)
+        set -l unstaged_diff (git diff 2>/dev/null | head -500 | string collect)
+        set -l untracked_files (git ls-files --others --exclude-standard 2>/dev/null | head -50 | string collect)
+        test -n "$staged_diff"; or set staged_diff "(none)"
+        test -n "$unstaged_diff"; or set unstaged_diff "(none)"
+        test -n "$untracked_files"; or set untracked_files "(none)"
+
+        set -l prompt "Analyze the following git changes and generate a commit message following the Conventional Commits specification with bullet-point changelog style.
+
+## Commit Message Format:
+<type>(<scope>): <short summary>
+
+- <bullet point describing a specific change>
+- <bullet point describing another change>
+
+## Types: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert
+
+## Rules:
+1. Subject line: max 50 chars, imperative mood, no period
+2. Body uses bullet points (- ) to list specific changes
+3. Each bullet should be concise and actionable
+
+## Git Changes:
+
+### Staged Changes:
+$staged_diff
+
+### Unstaged Changes:
+$unstaged_diff
+
+### Untracked Files:
+$untracked_files
+
+OUTPUT ONLY THE COMMIT MESSAGE, nothing else."
+
+${fishGenerateMessage(cli, cliCommand)}
+    end
+
+    echo ""
+    echo $YELLOW"[3/4]"$NC" 📦 Staging and committing changes..."
+
+    git add -A
+
+    if git diff --cached --quiet
+        echo $YELLOW"Nothing to commit"$NC
+        return 0
+    end
+
+    if not git commit -m "$commit_message" 2>&1
+        echo $RED"Error:"$NC" Failed to commit"
+        return 1
+    end
+
+    echo $GREEN"✓"$NC" Changes committed"
+
+    if test "$skip_push" = true
+        echo $YELLOW"Skipping push"$NC" - no remote"
+        echo $BOLD$GREEN"✨ Done!"$NC
+        return 0
+    end
+
+    echo ""
+    echo $YELLOW"[4/4]"$NC" 🚀 Pushing to remote..."
+
+    set -l push_file (mktemp)
+    git push origin $current_branch > $push_file 2>&1
+    set -l push_exit $status
+    set -l push_output (cat $push_file | string collect)
+    rm -f $push_file
+
+    if test $push_exit -eq 0
+        echo $GREEN"✓ Pushed to origin/$current_branch"$NC
+        set -l mr_url (echo "$push_output" | grep -oE 'https?://[^ ]+' | grep -iE '(merge|pull)' | head -1)
+        if test -n "$mr_url"
+            echo ""
+            echo $BLUE"📎 Create Merge Request:"$NC
+            echo "   "$BOLD"$mr_url"$NC
+        end
+    else
+        if echo "$push_output" | grep -q "no upstream"
+            git push --set-upstream origin $current_branch 2>&1; and echo $GREEN"✓ Pushed"$NC
+        else
+            echo $RED"Error:"$NC" Push failed"
+            echo $DIM"$push_output"$NC
+            return 1
+        end
+    end
+
+    echo ""
+    echo $BOLD$GREEN"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+    echo $BOLD$GREEN"✨ Done!"$NC
+    echo $BOLD$GREEN"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+end`;
+}
+
+/**
+ * Generate the gc (git commit) function for fish
+ */
+export function generateFishGcFunction({ aliasName, cli, model }) {
+    const cliCommand = buildCLICommand(cli, model);
+
+    return `# Git Commit with AI Message (${aliasName} alias)
+# Provider: ${cli.name} | Model: ${model}
+function ${aliasName} --description 'AI commit message for staged changes'
+${FISH_COLORS}
+
+${FISH_ARGS}
+
+    if not command -v git >/dev/null 2>&1
+        echo $RED"Error:"$NC" git is not installed"
+        return 1
+    end
+
+    if not git rev-parse --is-inside-work-tree >/dev/null 2>&1
+        echo $RED"Error:"$NC" Not a git repository"
+        return 1
+    end
+
+    if git diff --cached --quiet
+        echo $YELLOW"Nothing to commit"$NC" - no staged changes"
+        echo $DIM"Stage changes first: git add <files>"$NC
+        return 0
+    end
+
+    echo $BOLD$BLUE"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+    echo $BOLD"📝 Git Commit with AI Message"$NC
+    echo $BOLD$BLUE"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+
+    set -l commit_message ""
+
+    if test -n "$user_message"
+        echo ""
+        echo $GREEN"✓"$NC" Using provided commit message"
+        set commit_message "$user_message"
+    else
+        if not command -v ${cli.command} >/dev/null 2>&1
+            echo $RED"Error:"$NC" ${cli.name} is not installed"
+            return 1
+        end
+
+        echo ""
+        echo $YELLOW"[1/2]"$NC" 🔍 Analyzing staged changes..."
+
+        set -l staged_diff (git diff --cached 2>/dev/null | head -500 | string collect)
+
+        set -l prompt "Analyze the following staged git changes and generate a commit message following the Conventional Commits specification with bullet-point changelog style.
+
+## Commit Message Format:
+<type>(<scope>): <short summary>
+
+- <bullet point describing a specific change>
+- <bullet point describing another change>
+
+## Types: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert
+
+## Rules:
+1. Subject line: max 50 chars, imperative mood, no period
+2. Body uses bullet points (- ) to list specific changes
+3. Each bullet should be concise and actionable
+
+## Staged Changes:
+$staged_diff
+
+OUTPUT ONLY THE COMMIT MESSAGE, nothing else."
+
+${fishGenerateMessage(cli, cliCommand).replace('[2/4]', '[2/2]')}
+    end
+
+    echo ""
+    echo $YELLOW"📦 Committing..."$NC
+
+    if not git commit -m "$commit_message" 2>&1
+        echo $RED"Error:"$NC" Failed to commit"
+        return 1
+    end
+
+    echo ""
+    echo $BOLD$GREEN"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+    echo $BOLD$GREEN"✨ Done!"$NC
+    echo $BOLD$GREEN"━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"$NC
+end`;
+}